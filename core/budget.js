@@ -0,0 +1,216 @@
+/**
+ * RunBudget - Resource limits shared by every runnable in a run
+ *
+ * Pass one in config to cap what a run (typically an agent loop) may
+ * spend: tokens, LLM calls, and wall-clock time. LLMs charge their prompt
+ * and completion tokens against it; once a limit is hit the whole run is
+ * cancelled with a BudgetExceededError that reports usage per step.
+ *
+ * Example:
+ * const budget = new RunBudget({ maxTotalTokens: 20000, maxLlmCalls: 10, maxWallTimeMs: 120000 });
+ * try {
+ *   await agent.invoke(task, { budget });
+ * } catch (error) {
+ *   if (error instanceof BudgetExceededError) console.log(error.report.steps);
+ * }
+ *
+ * A budget belongs to one run: its clock starts when that run does and
+ * stops when it ends.
+ *
+ * @module core/budget
+ */
+
+import { BudgetExceededError } from './errors.js';
+
+const LIMITS = ['maxTotalTokens', 'maxLlmCalls', 'maxWallTimeMs'];
+
+export class RunBudget {
+  /**
+   * @param {Object} [limits] - Leave a limit out for no limit
+   * @param {number} [limits.maxTotalTokens] - Prompt plus completion tokens across all LLM calls
+   * @param {number} [limits.maxLlmCalls] - Number of LLM calls
+   * @param {number} [limits.maxWallTimeMs] - Time from the start of the run
+   */
+  constructor(limits = {}) {
+    this.limits = {};
+    for (const name of LIMITS) {
+      const value = limits[name];
+      if (value === undefined || value === null) continue;
+      if (!(value > 0)) {
+        throw new Error(`${name} must be a positive number, got ${value}`);
+      }
+      this.limits[name] = value;
+    }
+
+    this.usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0, llmCalls: 0 };
+    this.steps = new Map(); // step -> usage, in the order steps first spent anything
+    this.startedAt = null;
+    this.endedAt = null;
+    this.exceeded = null;   // BudgetExceededError once a limit is hit
+
+    // Aborted when a limit is hit, which cancels the run
+    this._controller = new AbortController();
+    this._timer = null;
+    this._runId = null;     // The run that started the clock
+  }
+
+  /**
+   * Name usage is reported under: the path of runs leading to the caller
+   *
+   * @param {RunnableConfig|Object} config - Run config of the LLM being charged
+   *   (a plain object without a runPath is reported as 'run')
+   * @returns {string} e.g. 'ReAct > agent > LlamaCppLLM'
+   */
+  static stepName(config) {
+    return config.runPath?.join(' > ') || 'run';
+  }
+
+  /**
+   * Aborted with the BudgetExceededError once any limit is hit
+   */
+  get signal() {
+    return this._controller.signal;
+  }
+
+  /**
+   * Start the clock (once; later calls do nothing)
+   *
+   * @param {string} [runId] - Run the budget belongs to (see end())
+   * @returns {boolean} true if this call started it
+   */
+  start(runId = null) {
+    if (this.startedAt !== null) return false;
+
+    this.startedAt = Date.now();
+    this._runId = runId;
+    if (this.limits.maxWallTimeMs) {
+      this._timer = setTimeout(() => this._exceed('maxWallTimeMs'), this.limits.maxWallTimeMs);
+      // Don't keep the process alive for a run that already finished
+      this._timer.unref?.();
+    }
+    return true;
+  }
+
+  /**
+   * Stop the clock when the run that started it ends
+   *
+   * Calls for any other run (the nested runs sharing the budget) do nothing,
+   * so the wall-time limit can't fire after the run is over.
+   *
+   * @param {string} runId - Run that just ended
+   */
+  end(runId) {
+    if (this.startedAt === null || this.endedAt !== null || runId !== this._runId) return;
+
+    this.endedAt = Date.now();
+    clearTimeout(this._timer);
+  }
+
+  /**
+   * Milliseconds the run has taken so far (or took, once it ended)
+   */
+  get elapsedMs() {
+    return this.startedAt === null ? 0 : (this.endedAt ?? Date.now()) - this.startedAt;
+  }
+
+  /**
+   * Tokens left before maxTotalTokens (Infinity without that limit)
+   */
+  get remainingTokens() {
+    return (this.limits.maxTotalTokens ?? Infinity) - this.usage.totalTokens;
+  }
+
+  /**
+   * Throw if the budget is already spent
+   *
+   * @throws {BudgetExceededError}
+   */
+  check() {
+    if (this.exceeded) throw this.exceeded;
+
+    if (this.limits.maxWallTimeMs && this.elapsedMs >= this.limits.maxWallTimeMs) {
+      throw this._exceed('maxWallTimeMs');
+    }
+    if (this.remainingTokens <= 0) {
+      throw this._exceed('maxTotalTokens');
+    }
+  }
+
+  /**
+   * Reserve one LLM call before it is made
+   *
+   * @param {string} step - Step making the call (used in the report)
+   * @throws {BudgetExceededError} If the budget is spent, or no calls are left
+   */
+  startLlmCall(step) {
+    this.check();
+    if (this.usage.llmCalls >= (this.limits.maxLlmCalls ?? Infinity)) {
+      throw this._exceed('maxLlmCalls');
+    }
+
+    this.usage.llmCalls++;
+    this._step(step).llmCalls++;
+  }
+
+  /**
+   * Charge an LLM call's tokens
+   *
+   * @param {Object} tokens - { promptTokens, completionTokens }
+   * @param {string} step - Step that made the call (used in the report)
+   * @throws {BudgetExceededError} If this takes usage past maxTotalTokens
+   */
+  chargeTokens({ promptTokens = 0, completionTokens = 0 }, step) {
+    for (const usage of [this.usage, this._step(step)]) {
+      usage.promptTokens += promptTokens;
+      usage.completionTokens += completionTokens;
+      usage.totalTokens += promptTokens + completionTokens;
+    }
+
+    if (this.remainingTokens < 0) {
+      throw this._exceed('maxTotalTokens');
+    }
+  }
+
+  /**
+   * Limits, usage so far, and usage per step
+   *
+   * @returns {Object} { limits, usage, elapsedMs, steps }
+   */
+  report() {
+    return {
+      limits: { ...this.limits },
+      usage: { ...this.usage },
+      elapsedMs: this.elapsedMs,
+      steps: Object.fromEntries(
+        [...this.steps].map(([step, usage]) => [step, { ...usage }])
+      )
+    };
+  }
+
+  /**
+   * @private
+   */
+  _step(step) {
+    if (!this.steps.has(step)) {
+      this.steps.set(step, { promptTokens: 0, completionTokens: 0, totalTokens: 0, llmCalls: 0 });
+    }
+    return this.steps.get(step);
+  }
+
+  /**
+   * Record the first limit hit and cancel the run
+   *
+   * @private
+   * @returns {BudgetExceededError} The error for the first limit hit
+   */
+  _exceed(limit) {
+    if (!this.exceeded) {
+      this.exceeded = new BudgetExceededError(limit, this.report());
+      clearTimeout(this._timer);
+      this._controller.abort(this.exceeded);
+    }
+    return this.exceeded;
+  }
+}
+
+export default RunBudget;
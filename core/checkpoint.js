@@ -0,0 +1,435 @@
+/**
+ * Checkpointing - Save progress after every step so a run can be resumed
+ *
+ * A checkpointed RunnableSequence or StateGraph saves a checkpoint after
+ * its input is accepted and after every step, under the thread id given
+ * in config.configurable.thread_id. When a run on that thread stops
+ * before finishing (a crash, a failed step), the next invoke() with the
+ * same thread_id picks up after the last successful step instead of
+ * starting over. The new input is ignored while resuming; use a new
+ * thread_id (or deleteThread()) to start from scratch.
+ *
+ * Passing configurable.checkpoint_id as well replays from that checkpoint:
+ * the run continues from there and its new checkpoints branch off it.
+ *
+ * Example:
+ * const pipeline = new RunnableSequence([plan, research, write], {
+ *   checkpointer: new FileCheckpointer({ directory: './checkpoints' })
+ * });
+ * const config = { configurable: { thread_id: 'report-42' } };
+ * await pipeline.invoke(topic, config); // crashes in `write`
+ * await pipeline.invoke(topic, config); // runs only `write`
+ *
+ * @module core/checkpoint
+ */
+
+import { randomUUID } from 'node:crypto';
+import { appendFile, mkdir, readFile, rm } from 'node:fs/promises';
+import path from 'node:path';
+import { BaseMessage } from './message.js';
+import { CancellationError } from './errors.js';
+import { PendingApproval, RESUME_KEY } from './interrupt.js';
+
+/**
+ * Key in config.configurable marking runs nested inside a checkpointed run
+ */
+export const NESTED_KEY = '__checkpointed__';
+
+/**
+ * BaseCheckpointer - Storage interface for checkpoints
+ *
+ * A checkpoint is a plain JSON object:
+ * { id, threadId, namespace, steps, parentId, step, next, value, done, interrupt, createdAt }
+ * - namespace: run path of the Runnable that saved it (threads may hold several)
+ * - steps: names of that Runnable's steps (or graph nodes); a checkpoint is
+ *   only resumed by a Runnable with the same ones
+ * - step: steps completed so far; next: what runs next (graph node name)
+ * - value: the pipeline value or graph state at that point
+ * - interrupt: { step, value } when the run paused for approval (see core/interrupt.js)
+ */
+export class BaseCheckpointer {
+  /**
+   * Store a checkpoint
+   *
+   * @param {Object} checkpoint - Checkpoint to add to its thread
+   */
+  async put(checkpoint) {
+    throw new Error(`${this.constructor.name} must implement put()`);
+  }
+
+  /**
+   * Checkpoints of a thread, oldest first
+   *
+   * @param {string} threadId - Thread to list
+   * @param {Object} [options]
+   * @param {string} [options.namespace] - Only checkpoints saved under this run path
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(threadId, options = {}) {
+    throw new Error(`${this.constructor.name} must implement list()`);
+  }
+
+  /**
+   * Remove every checkpoint of a thread
+   *
+   * @param {string} threadId - Thread to delete
+   */
+  async deleteThread(threadId) {
+    throw new Error(`${this.constructor.name} must implement deleteThread()`);
+  }
+
+  /**
+   * Find one checkpoint by id
+   *
+   * @param {string} threadId - Thread the checkpoint belongs to
+   * @param {string} checkpointId - Checkpoint id
+   * @returns {Promise<Object|undefined>}
+   */
+  async get(threadId, checkpointId) {
+    const checkpoints = await this.list(threadId);
+    return checkpoints.find(checkpoint => checkpoint.id === checkpointId);
+  }
+
+  /**
+   * Most recent checkpoint of a thread
+   *
+   * @param {string} threadId - Thread to look in
+   * @param {Object} [options] - Same as list()
+   * @returns {Promise<Object|undefined>}
+   */
+  async getLatest(threadId, options = {}) {
+    const checkpoints = await this.list(threadId, options);
+    return checkpoints[checkpoints.length - 1];
+  }
+}
+
+/**
+ * MemoryCheckpointer - Keeps checkpoints in process memory
+ *
+ * Survives failed runs, not process restarts; good for tests and notebooks.
+ */
+export class MemoryCheckpointer extends BaseCheckpointer {
+  constructor() {
+    super();
+    this.threads = new Map(); // threadId -> checkpoints, oldest first
+  }
+
+  async put(checkpoint) {
+    if (!this.threads.has(checkpoint.threadId)) {
+      this.threads.set(checkpoint.threadId, []);
+    }
+    // Stored as a copy, so later changes to the live value don't leak in
+    this.threads.get(checkpoint.threadId).push(structuredClone(checkpoint));
+  }
+
+  async list(threadId, options = {}) {
+    const checkpoints = this.threads.get(threadId) ?? [];
+    return checkpoints
+      .filter(checkpoint => !options.namespace || checkpoint.namespace === options.namespace)
+      .map(checkpoint => structuredClone(checkpoint));
+  }
+
+  async deleteThread(threadId) {
+    this.threads.delete(threadId);
+  }
+}
+
+/**
+ * FileCheckpointer - One JSON Lines file per thread, kept across restarts
+ */
+export class FileCheckpointer extends BaseCheckpointer {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.directory='./checkpoints'] - Where thread files are stored
+   */
+  constructor(options = {}) {
+    super();
+    this.directory = options.directory ?? './checkpoints';
+  }
+
+  async put(checkpoint) {
+    await mkdir(this.directory, { recursive: true });
+    await appendFile(this._file(checkpoint.threadId), JSON.stringify(checkpoint) + '\n', 'utf-8');
+  }
+
+  async list(threadId, options = {}) {
+    let content;
+    try {
+      content = await readFile(this._file(threadId), 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return content
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => JSON.parse(line))
+      .filter(checkpoint => !options.namespace || checkpoint.namespace === options.namespace);
+  }
+
+  async deleteThread(threadId) {
+    await rm(this._file(threadId), { force: true });
+  }
+
+  _file(threadId) {
+    return path.join(this.directory, `${encodeURIComponent(threadId)}.jsonl`);
+  }
+}
+
+/**
+ * CheckpointThread - One Runnable's checkpoints on one thread, during a run
+ *
+ * Used by RunnableSequence and CompiledStateGraph; values are converted
+ * to JSON on save (messages keep their class) and back on resume.
+ */
+export class CheckpointThread {
+  /**
+   * @param {BaseCheckpointer} checkpointer - Where checkpoints are stored
+   * @param {string} threadId - config.configurable.thread_id
+   * @param {string} namespace - Path of the run saving checkpoints (see fromConfig())
+   * @param {Array<string>} steps - Names of its steps (or graph nodes), in order
+   * @param {string} [checkpointId] - config.configurable.checkpoint_id, to replay from
+   */
+  constructor(checkpointer, threadId, namespace, steps, checkpointId = null) {
+    this.checkpointer = checkpointer;
+    this.threadId = threadId;
+    this.namespace = namespace;
+    this.steps = steps;
+    this.checkpointId = checkpointId;
+    this.parentId = null;
+
+    // Set by fromConfig(): the human's decision when resuming, and whether an
+    // enclosing checkpointed run handles interrupts instead of this one
+    this.decision = undefined;
+    this.nested = false;
+  }
+
+  /**
+   * The thread for a run, or null when checkpointing doesn't apply
+   *
+   * Checkpoints are kept per run path (e.g. 'ReportPipeline > RunnableSequence'),
+   * so a checkpointed run nested in another keeps its own. Pipelines run
+   * side by side on one thread need different names.
+   *
+   * @param {BaseCheckpointer|null} checkpointer - The Runnable's checkpointer
+   * @param {RunnableConfig} config - Run config (thread_id and checkpoint_id are read from configurable)
+   * @param {Array<string>} steps - Names of the run's steps (or graph nodes), in order
+   * @returns {CheckpointThread|null}
+   */
+  static fromConfig(checkpointer, config, steps) {
+    const threadId = config.configurable?.thread_id;
+    if (!checkpointer || threadId === undefined) return null;
+
+    const thread = new CheckpointThread(
+      checkpointer,
+      String(threadId),
+      config.runPath.join(' > '),
+      steps,
+      config.configurable.checkpoint_id
+    );
+    thread.decision = config.configurable[RESUME_KEY];
+    thread.nested = config.configurable[NESTED_KEY] === true;
+    return thread;
+  }
+
+  /**
+   * Checkpoint to continue from, if any
+   *
+   * The requested checkpoint_id when replaying, otherwise the latest
+   * checkpoint if that run never finished.
+   *
+   * @returns {Promise<Object|null>} Checkpoint with its value restored
+   * @throws {Error} If checkpoint_id doesn't exist on this thread
+   */
+  async resumePoint() {
+    let checkpoint;
+
+    if (this.checkpointId) {
+      checkpoint = await this.checkpointer.get(this.threadId, this.checkpointId);
+      if (!checkpoint || checkpoint.namespace !== this.namespace) {
+        throw new Error(
+          `Checkpoint '${this.checkpointId}' not found for ${this.namespace} on thread '${this.threadId}'`
+        );
+      }
+    } else {
+      checkpoint = await this.checkpointer.getLatest(this.threadId, { namespace: this.namespace });
+      if (!checkpoint || checkpoint.done) return null;
+    }
+
+    // Step numbers only mean something to a run with the same steps
+    if (checkpoint.steps && checkpoint.steps.join('\n') !== this.steps.join('\n')) {
+      throw new Error(
+        `Checkpoint '${checkpoint.id}' on thread '${this.threadId}' was saved by ${this.namespace} ` +
+        `with steps [${checkpoint.steps.join(', ')}], not [${this.steps.join(', ')}]. ` +
+        'Use a new thread_id, or give pipelines that share a thread different names.'
+      );
+    }
+
+    // New checkpoints continue the chain from here
+    this.parentId = checkpoint.id;
+    return { ...checkpoint, value: fromStorable(checkpoint.value) };
+  }
+
+  /**
+   * The human's decision for the checkpoint being resumed
+   *
+   * A rejection is recorded (the thread is finished) and thrown. Nested
+   * runs pass on the decision the outer run already took, for the step
+   * they resume at.
+   *
+   * @param {Object|null} resumed - Result of resumePoint()
+   * @returns {Promise<Object|undefined>} { approved: true, edits?, ... }, or
+   *   undefined when there is no decision (yet)
+   * @throws {CancellationError} If the decision rejects the paused step
+   * @throws {Error} If a decision was given but no run is waiting for one
+   */
+  async takeDecision(resumed) {
+    if (this.nested || this.decision === undefined) return this.decision;
+
+    if (!resumed?.interrupt) {
+      throw new Error(
+        `Nothing to resume: ${this.namespace} has no run waiting for approval on thread '${this.threadId}'`
+      );
+    }
+
+    const decision = typeof this.decision === 'boolean' ? { approved: this.decision } : this.decision;
+    if (!decision.approved) {
+      await this.save({ step: resumed.step, next: resumed.next, value: resumed.value, done: true });
+      throw new CancellationError(
+        `${this.namespace} was rejected at '${resumed.interrupt.step}'` +
+        (decision.reason ? `: ${decision.reason}` : ''),
+        { cause: decision }
+      );
+    }
+    return decision;
+  }
+
+  /**
+   * Save a paused run and describe it for the caller
+   *
+   * @param {Object} progress - { step, next?, value } where value is the paused step's input
+   * @param {string} stepName - Step (or graph node) that called interrupt()
+   * @param {any} interruptValue - Value passed to interrupt()
+   * @returns {Promise<PendingApproval>}
+   */
+  async interrupted(progress, stepName, interruptValue) {
+    const checkpoint = await this.save({
+      ...progress,
+      interrupt: { step: stepName, value: interruptValue }
+    });
+    return this.pendingApproval({ ...checkpoint, value: progress.value });
+  }
+
+  /**
+   * PendingApproval for an interrupted checkpoint
+   *
+   * @param {Object} checkpoint - Checkpoint with an `interrupt` field
+   * @returns {PendingApproval}
+   */
+  pendingApproval(checkpoint) {
+    return new PendingApproval({
+      threadId: this.threadId,
+      checkpointId: checkpoint.id,
+      step: checkpoint.interrupt.step,
+      value: fromStorable(checkpoint.interrupt.value),
+      input: checkpoint.value
+    });
+  }
+
+  /**
+   * Whether this run turns interrupts into a PendingApproval
+   *
+   * Runs nested in another checkpointed run let the outer one do it.
+   */
+  get handlesInterrupts() {
+    return !this.nested;
+  }
+
+  /**
+   * Config for the steps of this run
+   *
+   * checkpoint_id and the decision only apply to the run they were given
+   * to, so they are dropped before nested Runnables see them; the decision
+   * is passed back in only for the step being resumed.
+   *
+   * @param {RunnableConfig} config - The checkpointed run's config
+   * @param {Object} [decision] - Decision for the step that called interrupt()
+   * @returns {RunnableConfig}
+   */
+  configForSteps(config, decision = undefined) {
+    return config.child({
+      configurable: {
+        checkpoint_id: undefined,
+        [RESUME_KEY]: decision,
+        [NESTED_KEY]: true
+      }
+    });
+  }
+
+  /**
+   * Save progress
+   *
+   * @param {Object} progress - { step, next?, value, done, interrupt? }
+   * @returns {Promise<Object>} The stored checkpoint
+   */
+  async save({ step, next = null, value, done = false, interrupt = null }) {
+    const checkpoint = {
+      id: randomUUID(),
+      threadId: this.threadId,
+      namespace: this.namespace,
+      steps: this.steps,
+      parentId: this.parentId,
+      step,
+      next,
+      value: toStorable(value),
+      done,
+      interrupt: interrupt && { step: interrupt.step, value: toStorable(interrupt.value) },
+      createdAt: new Date().toISOString()
+    };
+
+    await this.checkpointer.put(checkpoint);
+    this.parentId = checkpoint.id;
+    return checkpoint;
+  }
+}
+
+/**
+ * Convert a value to plain JSON, tagging messages so they can be rebuilt
+ *
+ * @private
+ */
+function toStorable(value) {
+  if (value instanceof BaseMessage) {
+    return { __message: { ...value.toJSON(), additionalKwargs: value.additionalKwargs } };
+  }
+  if (Array.isArray(value)) {
+    return value.map(toStorable);
+  }
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, toStorable(item)])
+    );
+  }
+  // Anything else goes through JSON (class instances become plain objects)
+  const json = JSON.stringify(value);
+  return json === undefined ? null : JSON.parse(json);
+}
+
+/**
+ * @private
+ */
+function fromStorable(value) {
+  if (Array.isArray(value)) {
+    return value.map(fromStorable);
+  }
+  if (value && typeof value === 'object') {
+    if (value.__message) return BaseMessage.fromJSON(value.__message);
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, fromStorable(item)])
+    );
+  }
+  return value;
+}
+
+export default MemoryCheckpointer;
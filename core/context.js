@@ -1,40 +1,240 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Keys handled by RunnableConfig itself; anything else passed in is a call option
+ */
+const CONFIG_FIELDS = new Set([
+  'callbacks', 'metadata', 'tags', 'recursionLimit', 'maxConcurrency',
+  'configurable', 'signal', 'budget', 'depth', 'runPath', 'runType', 'runId', 'parentRunId',
+  'localCallbacks', 'returnExceptions', 'strictSchemas'
+]);
+
+/**
+ * How deeply runs may nest when config.recursionLimit isn't set
+ */
+export const DEFAULT_RECURSION_LIMIT = 25;
+
 export class RunnableConfig {
   constructor(options = {}) {
+    // Call options for the component being run (e.g. temperature, maxTokens),
+    // passed down to nested runs so bound values reach the LLM
+    Object.assign(this, callOptions(options));
+
     // Callbacks for monitoring
     this.callbacks = options.callbacks || [];
 
+    // Callbacks among them that only watch the current run
+    // (inheritable: false), so nested runs don't get them
+    this.localCallbacks = options.localCallbacks || new Set();
+
     // Metadata (arbitrary data)
     this.metadata = options.metadata || {};
 
     // Tags for filtering/organization
     this.tags = options.tags || [];
 
-    // Recursion limit (prevent infinite loops)
-    this.recursionLimit = options.recursionLimit ?? 25;
+    // Recursion limit (prevent infinite loops). Left undefined unless set,
+    // so a limit bound with withConfig() isn't overridden by the default;
+    // read it with ?? DEFAULT_RECURSION_LIMIT
+    this.recursionLimit = options.recursionLimit;
+
+    // Max invocations in flight at once for batch() (undefined = unlimited)
+    this.maxConcurrency = options.maxConcurrency;
+
+    // Whether batch() returns errors in place of results. Only meaningful to
+    // the batch() call it was passed to: configs rebuilt for that call keep
+    // it, nested runs (see forRun()) don't
+    this.returnExceptions = options.returnExceptions;
+
+    // Whether declared input/output schemas reject properties they don't
+    // list (see Runnable); by default only additionalProperties: false does
+    this.strictSchemas = options.strictSchemas;
 
     // Runtime overrides for generation parameters
     this.configurable = options.configurable || {};
+
+    // AbortSignal for cooperative cancellation (optional)
+    this.signal = options.signal;
+
+    // RunBudget shared by every nested run (optional)
+    this.budget = options.budget ?? null;
+
+    // Run tracking: how deeply nested the current run is, and the
+    // names of the runs that lead to it (outermost first)
+    this.depth = options.depth ?? 0;
+    this.runPath = options.runPath || [];
+
+    // Class name of the runnable the current run belongs to
+    this.runType = options.runType ?? null;
+
+    // Run tree: id of the current run and of the run that invoked it
+    // (both null outside of a run)
+    this.runId = options.runId ?? null;
+    this.parentRunId = options.parentRunId ?? null;
   }
 
   /**
    * Merge with another config (child inherits from parent)
+   *
+   * Run tracking (depth, runPath, runType, runId, parentRunId, localCallbacks)
+   * always comes from this config.
    */
   merge(other) {
     return new RunnableConfig({
-      callbacks: [...this.callbacks, ...(other.callbacks || [])],
+      ...callOptions(this),
+      ...callOptions(other),
+      // The same callback passed down twice would see every event twice
+      callbacks: [...new Set([...this.callbacks, ...(other.callbacks || [])])],
       metadata: { ...this.metadata, ...(other.metadata || {}) },
       tags: [...this.tags, ...(other.tags || [])],
       recursionLimit: other.recursionLimit ?? this.recursionLimit,
-      configurable: { ...this.configurable, ...(other.configurable || {}) }
+      maxConcurrency: other.maxConcurrency ?? this.maxConcurrency,
+      returnExceptions: other.returnExceptions ?? this.returnExceptions,
+      strictSchemas: other.strictSchemas ?? this.strictSchemas,
+      configurable: { ...this.configurable, ...(other.configurable || {}) },
+      signal: combineSignals(this.signal, other.signal),
+      budget: other.budget ?? this.budget,
+      depth: this.depth,
+      runPath: this.runPath,
+      runType: this.runType,
+      runId: this.runId,
+      parentRunId: this.parentRunId,
+      localCallbacks: this.localCallbacks
     });
   }
 
+  /**
+   * Layer this config on top of defaults (e.g. from runnable.withConfig())
+   *
+   * Follows merge() with this config's values winning; run tracking stays
+   * this config's, so the run tree is unaffected.
+   *
+   * @param {Object} defaults - Partial config to fill in underneath
+   * @returns {RunnableConfig}
+   */
+  withDefaults(defaults = {}) {
+    const config = new RunnableConfig(defaults).merge(this);
+    config.depth = this.depth;
+    config.runPath = this.runPath;
+    config.runType = this.runType;
+    config.runId = this.runId;
+    config.parentRunId = this.parentRunId;
+    config.localCallbacks = this.localCallbacks;
+    return config;
+  }
+
   /**
    * Create a child config with additional settings
    */
   child(options = {}) {
-    return this.merge(new RunnableConfig(options));
+    // Merge the raw options so unset fields (e.g. recursionLimit) keep the parent's value
+    return this.merge(options);
+  }
+
+  /**
+   * Create the config for a nested run, one level deeper than this one
+   *
+   * The new run gets a fresh runId; the current run becomes its parent.
+   * Callbacks that aren't inheritable stay with the run they were given to.
+   *
+   * @param {string} runName - Name of the runnable being invoked
+   * @param {string} [runType] - Its class name
+   * @returns {RunnableConfig}
+   */
+  forRun(runName, runType = null) {
+    const config = this.child();
+    config.depth = this.depth + 1;
+    config.runPath = [...this.runPath, runName];
+    config.runType = runType;
+    config.runId = randomUUID();
+    config.parentRunId = this.runId;
+    config.returnExceptions = undefined;
+
+    config.callbacks = this.callbacks.filter(callback => !this.localCallbacks.has(callback));
+    config.localCallbacks = new Set(
+      config.callbacks.filter(callback => callback.inheritable === false)
+    );
+
+    // A budget's clock starts with the first run it's given to (and stops
+    // when it ends), and that run (with everything in it) is cancelled
+    // once the budget runs out
+    if (config.budget?.start(config.runId)) {
+      config.signal = combineSignals(config.signal, config.budget.signal);
+    }
+    return config;
+  }
+}
+
+/**
+ * Config of the run currently executing, following async calls
+ */
+const configStorage = new AsyncLocalStorage();
+
+/**
+ * The RunnableConfig of the run that is executing right now
+ *
+ * Lets code deep inside a run (a helper, a tool, a custom Runnable that
+ * calls invoke() without passing config on) reach the run's callbacks,
+ * tags, metadata and run ids.
+ *
+ * @returns {RunnableConfig|null} null outside of any run
+ */
+export function getCurrentConfig() {
+  return configStorage.getStore() ?? null;
+}
+
+/**
+ * Call fn with config as the current run's config
+ *
+ * @param {RunnableConfig} config - Config of the run fn belongs to
+ * @param {Function} fn - Sync or async function
+ * @returns {any} What fn returns
+ */
+export function runWithConfig(config, fn) {
+  return configStorage.run(config, fn);
+}
+
+/**
+ * Resolve the config a run was given against the run it was started from
+ *
+ * Configs already tied to a run (they have a runId, e.g. the config
+ * passed to _call) are used as they are. Anything else - a plain object,
+ * or nothing - is layered on top of the current run's config, so nested
+ * invocations keep its callbacks, tags, metadata and run tree even when
+ * config isn't passed on.
+ *
+ * @param {RunnableConfig|Object} [config] - Config given to invoke()/stream()/...
+ * @returns {RunnableConfig}
+ */
+export function resolveConfig(config = {}) {
+  if (config.runId) {
+    return config instanceof RunnableConfig ? config : new RunnableConfig(config);
   }
+
+  const parent = getCurrentConfig();
+  if (parent) return parent.merge(config);
+  return config instanceof RunnableConfig ? config : new RunnableConfig(config);
+}
+
+/**
+ * The call options in a config or options object (set keys that aren't config fields)
+ */
+function callOptions(options) {
+  return Object.fromEntries(
+    Object.entries(options).filter(([key, value]) =>
+      !CONFIG_FIELDS.has(key) && value !== undefined
+    )
+  );
+}
+
+/**
+ * Combine two optional AbortSignals - aborting either aborts the result
+ */
+function combineSignals(first, second) {
+  if (!first || first === second) return second ?? first;
+  if (!second) return first;
+  return AbortSignal.any([first, second]);
 }
 
 export default RunnableConfig;
\ No newline at end of file
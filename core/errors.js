@@ -0,0 +1,157 @@
+/**
+ * Error types raised by the Runnable runtime
+ *
+ * @module core/errors
+ */
+
+/**
+ * CancellationError - A run was aborted through its AbortSignal
+ *
+ * Raised instead of whatever the interrupted component happened to throw,
+ * so callers can tell "the user gave up" apart from "something broke".
+ */
+export class CancellationError extends Error {
+  constructor(message = 'Run was cancelled', options = {}) {
+    super(message, options);
+    this.name = 'CancellationError';
+  }
+
+  /**
+   * Build the error for an aborted signal
+   *
+   * If the signal was aborted with a CancellationError as its reason
+   * (e.g. a timeout), that error is reused so the original cause survives.
+   *
+   * @param {AbortSignal} signal - The aborted signal
+   * @param {string} [runName] - Name of the runnable that was interrupted
+   * @returns {CancellationError}
+   */
+  static fromSignal(signal, runName = 'Runnable') {
+    if (signal?.reason instanceof CancellationError) {
+      return signal.reason;
+    }
+    return new CancellationError(`${runName} was cancelled`, { cause: signal?.reason });
+  }
+}
+
+/**
+ * TimeoutError - A run took longer than its allowed time and was cancelled
+ */
+export class TimeoutError extends CancellationError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * BudgetExceededError - A run used up its RunBudget and was cancelled
+ *
+ * Carries the budget's report, so callers can see which steps spent it.
+ */
+export class BudgetExceededError extends CancellationError {
+  /**
+   * @param {string} limit - The limit that was hit ('maxTotalTokens', 'maxLlmCalls' or 'maxWallTimeMs')
+   * @param {Object} report - RunBudget.report(): { limits, usage, elapsedMs, steps }
+   */
+  constructor(limit, report) {
+    const steps = Object.entries(report.steps)
+      .map(([step, usage]) => `${step}: ${usage.totalTokens} tokens / ${usage.llmCalls} calls`)
+      .join('; ');
+    super(
+      `Run budget exceeded (${limit} = ${report.limits[limit]})` +
+      (steps ? `. Usage by step - ${steps}` : '')
+    );
+    this.name = 'BudgetExceededError';
+    this.limit = limit;
+    this.report = report;
+  }
+}
+
+/**
+ * RecursionLimitError - Runs nested deeper than config.recursionLimit
+ *
+ * Usually means an agent loop keeps invoking itself. The message names
+ * the chain of runnables that led here.
+ */
+export class RecursionLimitError extends Error {
+  /**
+   * @param {number} recursionLimit - The limit that was exceeded
+   * @param {string[]} runPath - Runnable names, outermost first
+   */
+  constructor(recursionLimit, runPath = []) {
+    super(
+      `Recursion limit of ${recursionLimit} exceeded: ${runPath.join(' -> ')}. ` +
+      'Raise config.recursionLimit if this depth is expected.'
+    );
+    this.name = 'RecursionLimitError';
+    this.recursionLimit = recursionLimit;
+    this.runPath = runPath;
+  }
+}
+
+/**
+ * ManifestError - A pipeline manifest can't be turned back into Runnables
+ */
+export class ManifestError extends Error {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'ManifestError';
+  }
+}
+
+/**
+ * SchemaValidationError - A value doesn't match a Runnable's declared schema
+ *
+ * Raised at invoke time for inputs and outputs, and when a RunnableSequence
+ * is built from steps whose declared schemas don't fit together.
+ */
+export class SchemaValidationError extends Error {
+  /**
+   * @param {string} message - What didn't match, and where
+   * @param {Object} [details]
+   * @param {string[]} [details.errors] - Individual problems from SchemaValidator
+   * @param {string} [details.runName] - Runnable whose schema was checked
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    this.errors = details.errors ?? [];
+    this.runName = details.runName;
+  }
+}
+
+/**
+ * InterruptError - A step paused to wait for a human (thrown by interrupt())
+ *
+ * Not a failure: a checkpointed RunnableSequence or StateGraph catches it,
+ * saves its progress and returns a PendingApproval instead. It only
+ * reaches callers when no checkpointer and thread_id are configured.
+ */
+export class InterruptError extends Error {
+  /**
+   * @param {any} value - What the human is asked to review
+   */
+  constructor(value) {
+    super(
+      'interrupt() paused the run, but nothing can resume it: run it inside a ' +
+      'RunnableSequence or StateGraph with a checkpointer and configurable.thread_id'
+    );
+    this.name = 'InterruptError';
+    this.value = value;
+  }
+}
+
+/**
+ * Throw a CancellationError if the signal has already been aborted
+ *
+ * @param {AbortSignal} [signal] - Signal to check
+ * @param {string} [runName] - Name used in the error message
+ */
+export function throwIfAborted(signal, runName) {
+  if (signal?.aborted) {
+    throw CancellationError.fromSignal(signal, runName);
+  }
+}
+
+export default CancellationError;
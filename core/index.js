@@ -1,4 +1,46 @@
-export { Runnable, RunnableSequence } from './runnable.js';
+export {
+  Runnable,
+  RunnableSequence,
+  RunnableLambda,
+  RunnablePassthrough,
+  RunnableAssign,
+  coerceToRunnable,
+  RunnableRetry,
+  RunnableTimeout,
+  RunnableWithFallbacks,
+  RunnableBinding,
+  RunnableConfigurableFields,
+  RunnableConfigurableAlternatives
+} from './runnable.js';
 export { RunnableParallel } from './runnable-parallel.js';
+export { RunnableBranch } from './runnable-branch.js';
+export { RunnableGraph } from './runnable-graph.js';
+export { StateGraph, CompiledStateGraph, START, END } from './state-graph.js';
+export {
+  BaseCheckpointer,
+  MemoryCheckpointer,
+  FileCheckpointer,
+  CheckpointThread
+} from './checkpoint.js';
+export { interrupt, PendingApproval } from './interrupt.js';
+export { RunBudget } from './budget.js';
 export { BaseMessage, HumanMessage, AIMessage, SystemMessage, ToolMessage } from './message.js';
-export { RunnableConfig } from './context.js';
\ No newline at end of file
+export { RunnableConfig, DEFAULT_RECURSION_LIMIT, getCurrentConfig, runWithConfig } from './context.js';
+export { BaseCache, InMemoryCache, FileCache, CachedLLM, getCacheKey } from './llm/cache.js';
+export {
+  CancellationError,
+  TimeoutError,
+  RecursionLimitError,
+  ManifestError,
+  SchemaValidationError,
+  InterruptError,
+  BudgetExceededError
+} from './errors.js';
+export {
+  RunnableRegistry,
+  defaultRegistry,
+  registerRunnable,
+  loadRunnable,
+  loadRunnableFromFile,
+  saveManifest
+} from './manifest.js';
\ No newline at end of file
@@ -0,0 +1,118 @@
+/**
+ * Human-in-the-loop - pause a run until someone approves it
+ *
+ * Call interrupt() inside any Runnable or graph node that must not go
+ * ahead on its own (sending an email, deleting files, paying an invoice).
+ * The nearest checkpointed RunnableSequence or StateGraph catches the
+ * pause, saves its progress and returns a PendingApproval to the caller
+ * instead of an output.
+ *
+ * Later, resume(threadId, decision) on the same sequence or graph either
+ * re-runs the paused step (with the reviewer's edits applied to its input)
+ * and carries on, or aborts the run with a CancellationError.
+ *
+ * Example:
+ * const sendEmail = new RunnableLambda(async (draft, config) => {
+ *   interrupt({ action: 'send_email', draft });
+ *   return await mailer.send(draft);
+ * });
+ * const pipeline = new RunnableSequence([writeDraft, sendEmail], { checkpointer });
+ *
+ * const pending = await pipeline.invoke(request, { configurable: { thread_id: 't1' } });
+ * // pending instanceof PendingApproval; show pending.value to a human, then:
+ * await pipeline.resume('t1', { approved: true, edits: { subject: 'Fixed subject' } });
+ *
+ * @module core/interrupt
+ */
+
+import { InterruptError } from './errors.js';
+import { getCurrentConfig } from './context.js';
+
+/**
+ * Key in config.configurable carrying the decision into the resumed step
+ */
+export const RESUME_KEY = '__resume__';
+
+/**
+ * PendingApproval - Returned by a checkpointed run that was interrupted
+ */
+export class PendingApproval {
+  /**
+   * @param {Object} fields
+   * @param {string} fields.threadId - Thread to pass to resume()
+   * @param {string} fields.checkpointId - Checkpoint saved when the run paused
+   * @param {string} fields.step - Name of the step (or graph node) that paused
+   * @param {any} fields.value - What interrupt() asked the human to review
+   * @param {any} fields.input - The paused step's input, which edits apply to
+   */
+  constructor({ threadId, checkpointId, step, value, input }) {
+    this.status = 'pending_approval';
+    this.threadId = threadId;
+    this.checkpointId = checkpointId;
+    this.step = step;
+    this.value = value;
+    this.input = input;
+  }
+}
+
+/**
+ * Pause the current run until a human decides
+ *
+ * On the first run this throws an InterruptError, which the enclosing
+ * checkpointed sequence or graph turns into a PendingApproval. When that
+ * step is re-run by resume(), it returns the human's decision instead.
+ *
+ * @param {any} value - What the human should review (shown as PendingApproval.value)
+ * @param {RunnableConfig} [config] - Config of the Runnable calling interrupt()
+ *   (defaults to the run that is executing)
+ * @returns {Object} The decision passed to resume(): { approved, edits?, ... }
+ * @throws {InterruptError} When the run should pause
+ */
+export function interrupt(value, config = getCurrentConfig()) {
+  const decision = config?.configurable?.[RESUME_KEY];
+  if (decision !== undefined) {
+    return decision;
+  }
+  throw new InterruptError(value);
+}
+
+/**
+ * Continue a paused run of a checkpointed Runnable
+ *
+ * Backs resume() on RunnableSequence and CompiledStateGraph: invokes the
+ * Runnable again on the thread, carrying the decision to the paused step.
+ *
+ * @param {Runnable} runnable - The sequence or graph that returned the PendingApproval
+ * @param {string} threadId - PendingApproval.threadId
+ * @param {Object|boolean} decision - { approved, edits?, reason? } (or just approved)
+ * @param {Object} [config] - Optional configuration
+ * @returns {Promise<any>} The run's output, or another PendingApproval
+ */
+export async function resumeRun(runnable, threadId, decision, config = {}) {
+  return await runnable.invoke(undefined, {
+    ...config,
+    configurable: { ...config.configurable, thread_id: threadId, [RESUME_KEY]: decision }
+  });
+}
+
+/**
+ * Apply a reviewer's edits to the paused step's input
+ *
+ * Plain objects are merged key by key; any other input is replaced by the edits.
+ *
+ * @param {any} input - The paused step's input
+ * @param {any} [edits] - decision.edits
+ * @returns {any} Input for the re-run step
+ */
+export function applyEdits(input, edits) {
+  if (edits === undefined) return input;
+
+  const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+  if (isPlainObject(input) && isPlainObject(edits)) {
+    return { ...input, ...edits };
+  }
+  return edits;
+}
+
+export default interrupt;
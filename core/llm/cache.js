@@ -0,0 +1,309 @@
+/**
+ * LLM response cache - skip regenerating answers to identical prompts
+ *
+ * Entries are keyed by the normalized messages plus the generation
+ * params (temperature, topP, seed, stopStrings, ...), so changing any of
+ * them is a miss. Sampled generations (temperature > 0 without a fixed
+ * seed) bypass the cache unless explicitly allowed, since a different
+ * answer each time is the point of them.
+ *
+ * Use it through LlamaCppLLM's `cache` option, or wrap any LLM Runnable
+ * in a CachedLLM.
+ *
+ * @module llm/cache
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, readdir, rename, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { Runnable } from '../runnable.js';
+import { BaseMessage } from '../message.js';
+import { CallbackManager } from '../../utils/index.js';
+
+/**
+ * Generation params that change an LLM's output, in key order
+ */
+const GENERATION_PARAMS = [
+  'temperature', 'topP', 'topK', 'maxTokens', 'repeatPenalty', 'seed', 'stopStrings'
+];
+
+/**
+ * BaseCache - Storage interface for cached LLM outputs
+ *
+ * Values are plain JSON (see serializeOutput), so any key/value store works.
+ */
+export class BaseCache {
+  /**
+   * @param {string} key - Cache key from getCacheKey()
+   * @returns {Promise<Object|undefined>} Stored value, or undefined on a miss
+   */
+  async lookup(key) {
+    throw new Error(`${this.constructor.name} must implement lookup()`);
+  }
+
+  /**
+   * @param {string} key - Cache key from getCacheKey()
+   * @param {Object} value - JSON-serializable value to store
+   */
+  async update(key, value) {
+    throw new Error(`${this.constructor.name} must implement update()`);
+  }
+
+  /**
+   * Remove every entry
+   */
+  async clear() {
+    throw new Error(`${this.constructor.name} must implement clear()`);
+  }
+}
+
+/**
+ * InMemoryCache - Least-recently-used cache held in process memory
+ */
+export class InMemoryCache extends BaseCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxSize=1000] - Entries kept before the oldest is evicted
+   */
+  constructor(options = {}) {
+    super();
+    this.maxSize = options.maxSize ?? 1000;
+    this.entries = new Map(); // Map keeps insertion order: first = least recently used
+
+    if (!(this.maxSize >= 1)) {
+      throw new Error(`maxSize must be at least 1, got ${this.maxSize}`);
+    }
+  }
+
+  async lookup(key) {
+    if (!this.entries.has(key)) return undefined;
+
+    // Move to the most recently used end
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  async update(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+
+    if (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * FileCache - One JSON file per entry in a directory, kept across runs
+ *
+ * Handy for tutorials and tests: the second run of a script reuses the
+ * first run's answers.
+ */
+export class FileCache extends BaseCache {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.directory='./.llm-cache'] - Where entries are stored
+   */
+  constructor(options = {}) {
+    super();
+    this.directory = options.directory ?? './.llm-cache';
+  }
+
+  async lookup(key) {
+    try {
+      return JSON.parse(await readFile(this._file(key), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+  }
+
+  async update(key, value) {
+    await mkdir(this.directory, { recursive: true });
+
+    // Write then rename, so a crash never leaves a half-written entry
+    const file = this._file(key);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await writeFile(tempFile, JSON.stringify(value), 'utf-8');
+    await rename(tempFile, file);
+  }
+
+  async clear() {
+    let files;
+    try {
+      files = await readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => rm(path.join(this.directory, file), { force: true }))
+    );
+  }
+
+  _file(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+}
+
+/**
+ * CachedLLM - Adds a response cache to any LLM Runnable
+ *
+ * Generation params are read the way LlamaCppLLM reads them: the call
+ * option in config if set, otherwise the LLM's own property.
+ *
+ * Example:
+ * const llm = new CachedLLM(someLlm, { cache: new FileCache() });
+ * await llm.invoke('What is AI?'); // generates
+ * await llm.invoke('What is AI?'); // served from .llm-cache/
+ */
+export class CachedLLM extends Runnable {
+  /**
+   * @param {Runnable} llm - LLM Runnable to cache
+   * @param {Object} options
+   * @param {BaseCache} options.cache - Where entries are stored
+   * @param {boolean} [options.allowNondeterministic=false] - Also cache sampled
+   *   generations (temperature > 0 without a fixed seed)
+   */
+  constructor(llm, options = {}) {
+    super();
+
+    if (!(options.cache instanceof BaseCache)) {
+      throw new Error('CachedLLM requires a cache, e.g. { cache: new InMemoryCache() }');
+    }
+
+    this.llm = llm;
+    this.cache = options.cache;
+    this.allowNondeterministic = options.allowNondeterministic ?? false;
+  }
+
+  async _call(input, config) {
+    return await cachedGenerate(this.llm, input, config, this, () =>
+      this.llm.invoke(input, config)
+    );
+  }
+
+  toManifest() {
+    throw new Error(
+      `${this.name} holds a cache instance, which can't be saved in a manifest. ` +
+      'Save the LLM itself and add the cache after loading it.'
+    );
+  }
+
+  _buildGraph(graph) {
+    return this.llm._buildGraph(graph);
+  }
+
+  toString() {
+    return `CachedLLM(${this.llm})`;
+  }
+}
+
+/**
+ * Build the cache key for one LLM call
+ *
+ * @param {Object} llm - The LLM (its modelPath, or name, identifies the model)
+ * @param {string|Array<BaseMessage>} input - Prompt or messages
+ * @param {Object} params - Resolved generation params
+ * @returns {string} Hex digest
+ */
+export function getCacheKey(llm, input, params) {
+  const payload = JSON.stringify({
+    model: llm.modelPath ?? llm.name,
+    messages: normalizeMessages(input),
+    params: GENERATION_PARAMS.map(name => [name, params[name] ?? null])
+  });
+  return createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Look the call up in the cache, generating and storing on a miss
+ *
+ * Hits are reported to callbacks through onCacheHit.
+ *
+ * @param {Object} llm - The LLM being called (source of default params)
+ * @param {any} input - Prompt or messages
+ * @param {RunnableConfig} config - Run config (call options and callbacks)
+ * @param {Object} options - { cache, allowNondeterministic }
+ * @param {Function} generate - () => Promise<output>, run on a miss
+ * @returns {Promise<any>} Cached or freshly generated output
+ */
+export async function cachedGenerate(llm, input, config, options, generate) {
+  const params = Object.fromEntries(
+    GENERATION_PARAMS.map(name => [name, config[name] ?? llm[name]])
+  );
+
+  // A sampled generation is meant to differ between calls
+  const sampled = params.temperature > 0 && params.seed === undefined;
+  if (sampled && !options.allowNondeterministic) {
+    return await generate();
+  }
+
+  const key = getCacheKey(llm, input, params);
+  const cached = await options.cache.lookup(key);
+
+  if (cached !== undefined) {
+    const output = deserializeOutput(cached);
+    await new CallbackManager(config.callbacks).handleCacheHit(key, output, config);
+    return output;
+  }
+
+  const output = await generate();
+  await options.cache.update(key, serializeOutput(output));
+  return output;
+}
+
+/**
+ * Reduce input to what affects generation (no message ids or timestamps)
+ *
+ * @private
+ */
+function normalizeMessages(input) {
+  if (typeof input === 'string') {
+    return [{ type: 'human', content: input }];
+  }
+  if (Array.isArray(input)) {
+    return input.map(message => ({
+      type: message.type ?? message.role,
+      content: message.content
+    }));
+  }
+  return input;
+}
+
+/**
+ * Messages are stored with their type so they come back as the same class
+ *
+ * @private
+ */
+function serializeOutput(output) {
+  if (output instanceof BaseMessage) {
+    return { message: { ...output.toJSON(), additionalKwargs: output.additionalKwargs } };
+  }
+  return { value: output };
+}
+
+/**
+ * @private
+ */
+function deserializeOutput(stored) {
+  if (stored.message) {
+    return BaseMessage.fromJSON(stored.message);
+  }
+  return stored.value;
+}
+
+export default CachedLLM;
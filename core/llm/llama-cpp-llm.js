@@ -5,7 +5,12 @@
  */
 
 import { Runnable } from '../runnable.js';
+import RunnableConfig from '../context.js';
 import { AIMessage, HumanMessage } from '../message.js';
+import { CancellationError, throwIfAborted } from '../errors.js';
+import { CallbackManager } from '../../utils/index.js';
+import { cachedGenerate } from './cache.js';
+import { RunBudget } from '../budget.js';
 import { getLlama, LlamaChatSession } from 'node-llama-cpp';
 
 /**
@@ -40,6 +45,9 @@ export class LlamaCppLLM extends Runnable {
    * @param {string[]} [options.stopStrings] - Strings that stop generation
    * @param {Object} [options.chatWrapper] - Custom chat wrapper instance (e.g., QwenChatWrapper)
    *   - If not provided, the library will automatically select the best wrapper for your model
+   * @param {BaseCache} [options.cache] - Response cache (InMemoryCache, FileCache) for invoke() and batch()
+   * @param {boolean} [options.allowNondeterministicCache=false] - Also cache sampled
+   *   generations (temperature > 0 without a fixed seed), which bypass the cache by default
    *
    * @example Basic Setup
    * ```javascript
@@ -78,6 +86,15 @@ export class LlamaCppLLM extends Runnable {
    *   maxTokens: 500
    * });
    * ```
+   *
+   * @example Cached Responses (Tests and Tutorials)
+   * ```javascript
+   * const llm = new LlamaCppLLM({
+   *   modelPath: './model.gguf',
+   *   temperature: 0,
+   *   cache: new FileCache({ directory: './.llm-cache' })
+   * });
+   * ```
    */
   constructor(options = {}) {
     super();
@@ -118,6 +135,10 @@ export class LlamaCppLLM extends Runnable {
       '\n\nUser:'
     ];
 
+    // Response cache (optional)
+    this.cache = options.cache ?? null;
+    this.allowNondeterministicCache = options.allowNondeterministicCache ?? false;
+
     // Internal state (lazy initialized)
     this._llama = null;
     this._model = null;
@@ -282,7 +303,12 @@ export class LlamaCppLLM extends Runnable {
    * @param {number} [config.temperature] - Override temperature for this call
    * @param {number} [config.maxTokens] - Override max tokens for this call
    * @param {boolean} [config.clearHistory=false] - Clear chat history before this call
+   * @param {AbortSignal} [config.signal] - Stops generation when aborted
+   * @param {RunBudget} [config.budget] - Charged this call and its prompt and completion tokens
    * @returns {Promise<AIMessage>} Generated response as AIMessage
+   *   (additionalKwargs.usage holds its promptTokens, completionTokens and totalTokens)
+   * @throws {CancellationError} If config.signal is aborted during generation
+   * @throws {BudgetExceededError} If config.budget runs out
    *
    * @example String Input (Simplest)
    * ```javascript
@@ -317,6 +343,18 @@ export class LlamaCppLLM extends Runnable {
    * );
    * ```
    *
+   * @example Cancelling Generation
+   * ```javascript
+   * const controller = new AbortController();
+   * setTimeout(() => controller.abort(), 5000);
+   *
+   * try {
+   *   await llm.invoke("Write a long essay", { signal: controller.signal });
+   * } catch (error) {
+   *   if (error instanceof CancellationError) console.log("Stopped early");
+   * }
+   * ```
+   *
    * @example In a Pipeline (Composition)
    * ```javascript
    * const pipeline = promptFormatter
@@ -327,8 +365,29 @@ export class LlamaCppLLM extends Runnable {
    * ```
    */
   async _call(input, config = {}) {
+    if (!this.cache) {
+      return await this._generate(input, config);
+    }
+
+    // Served from the cache without loading the model, on a hit
+    return await cachedGenerate(
+        this,
+        input,
+        config,
+        { cache: this.cache, allowNondeterministic: this.allowNondeterministicCache },
+        () => this._generate(input, config)
+    );
+  }
+
+  /**
+   * Run the model for one call (what _call() does on a cache miss)
+   *
+   * @private
+   */
+  async _generate(input, config) {
     // Ensure model is loaded (only happens once)
     await this._initialize();
+    throwIfAborted(config.signal, this.name);
 
     // Clear history if requested (important for batch processing)
     if (config.clearHistory) {
@@ -361,15 +420,21 @@ export class LlamaCppLLM extends Runnable {
     // ALWAYS set system prompt (either new value or empty string to clear)
     this._chatSession.systemPrompt = systemPrompt;
 
+    // Charge the prompt to the run's budget, if any
+    const promptTokens = this._countPromptTokens(messages);
+    const maxTokens = this._chargePrompt(promptTokens, config);
+
+    let response;
     try {
       // Build prompt options
       const promptOptions = {
         temperature: config.temperature ?? this.temperature,
         topP: config.topP ?? this.topP,
         topK: config.topK ?? this.topK,
-        maxTokens: config.maxTokens ?? this.maxTokens,
+        maxTokens,
         repeatPenalty: config.repeatPenalty ?? this.repeatPenalty,
-        customStopTriggers: config.stopStrings ?? this.stopStrings
+        customStopTriggers: config.stopStrings ?? this.stopStrings,
+        signal: config.signal
       };
 
       // Add random seed if temperature > 0 and no seed specified
@@ -380,41 +445,124 @@ export class LlamaCppLLM extends Runnable {
         promptOptions.seed = config.seed;
       }
 
-      // Generate response using prompt (simpler than promptWithMeta for non-streaming)
-      const response = await this._chatSession.prompt('', promptOptions);
+      // Report tokens to callbacks as they are generated
+      const callbackManager = new CallbackManager(config.callbacks);
+      const tokenNotifications = [];
+      promptOptions.onTextChunk = (chunk) => {
+        tokenNotifications.push(callbackManager.handleLLMNewToken(chunk, config));
+      };
 
-      // Return as AIMessage for consistency
-      return new AIMessage(response);
+      // Generate response using prompt (simpler than promptWithMeta for non-streaming)
+      response = await this._chatSession.prompt('', promptOptions);
+      await Promise.all(tokenNotifications);
     } catch (error) {
+      if (config.signal?.aborted) {
+        throw CancellationError.fromSignal(config.signal, this.name);
+      }
       throw new Error(`Generation failed: ${error.message}`);
     }
+
+    const completionTokens = this._countTokens(response);
+    this._chargeCompletion(completionTokens, config);
+
+    // Return as AIMessage for consistency, with the tokens it took
+    return new AIMessage(response, {
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    });
+  }
+
+  /**
+   * Reserve this call in config.budget and charge it the prompt's tokens
+   *
+   * @private
+   * @returns {number} maxTokens for the call, capped to what the budget has left
+   * @throws {BudgetExceededError} If the budget can't cover the call
+   */
+  _chargePrompt(promptTokens, config) {
+    const maxTokens = config.maxTokens ?? this.maxTokens;
+    const budget = config.budget;
+    if (!budget) return maxTokens;
+
+    const step = RunBudget.stepName(config);
+    budget.startLlmCall(step);
+    budget.chargeTokens({ promptTokens }, step);
+    budget.check(); // no tokens left to generate with
+
+    return Math.min(maxTokens, budget.remainingTokens);
+  }
+
+  /**
+   * Charge config.budget for the generated text
+   *
+   * @private
+   * @throws {BudgetExceededError} If this goes past the budget
+   */
+  _chargeCompletion(completionTokens, config) {
+    config.budget?.chargeTokens({ completionTokens }, RunBudget.stepName(config));
+  }
+
+  /**
+   * Tokens in the messages' contents (the chat template adds a few more)
+   *
+   * @private
+   */
+  _countPromptTokens(messages) {
+    return messages.reduce((total, message) => total + this._countTokens(message.content), 0);
+  }
+
+  /**
+   * Tokens the loaded model's tokenizer makes of some text
+   *
+   * @private
+   */
+  _countTokens(text) {
+    return text ? this._model.tokenize(String(text)).length : 0;
   }
 
   /**
    * Batch processing with history isolation
    *
-   * Processes multiple inputs sequentially, ensuring each gets a clean chat history.
-   * Note: Local models process requests sequentially, so there's no performance
-   * benefit compared to calling invoke() multiple times.
+   * Every input goes through invoke() with a clean chat history, so
+   * callbacks, the recursion limit and the run budget apply to each one.
+   * The model has one chat session, so inputs run one at a time whatever
+   * maxConcurrency asks for; there's no performance benefit compared to
+   * calling invoke() multiple times.
    *
    * @async
    * @param {Array<string|Array<Message>>} inputs - Array of inputs to process
    * @param {Object} [config={}] - Runtime configuration
-   * @returns {Promise<Array<AIMessage>>} Array of generated responses
+   * @param {boolean} [config.returnExceptions=false] - Return errors in place of results
+   *   (a cancelled batch still throws)
+   * @returns {Promise<Array<AIMessage|Error>>} Array of generated responses
    *
    * @example
    * ```javascript
    * const questions = ["What is AI?", "What is ML?", "What is DL?"];
    * const answers = await llm.batch(questions);
    * ```
+   *
+   * @example Keep Going When One Input Fails
+   * ```javascript
+   * const answers = await llm.batch(questions, { returnExceptions: true });
+   * const failed = answers.filter(answer => answer instanceof Error);
+   * ```
    */
   async batch(inputs, config = {}) {
-    const results = [];
-    for (const input of inputs) {
-      // Clear history before each batch item to prevent contamination
-      const result = await this._call(input, { ...config, clearHistory: true });
-      results.push(result);
-    }
+    // Clear history before each batch item to prevent contamination;
+    // returnExceptions is passed on explicitly for super.batch() to read
+    const itemOptions = {
+      clearHistory: true,
+      maxConcurrency: 1,
+      returnExceptions: config.returnExceptions
+    };
+    const batchConfig = config instanceof RunnableConfig
+      ? config.child(itemOptions)
+      : { ...config, ...itemOptions };
+
+    const results = await super.batch(inputs, batchConfig);
+
+    const cancelled = results.find(result => result instanceof CancellationError);
+    if (cancelled) throw cancelled;
     return results;
   }
 
@@ -422,13 +570,17 @@ export class LlamaCppLLM extends Runnable {
    * Streaming generation - show results as they're generated!
    *
    * This is the same as _call() but yields chunks as they arrive,
-   * like the typing effect you see in ChatGPT.
+   * like the typing effect you see in ChatGPT. Call it through
+   * llm.stream(), which adds callbacks and cancellation around it.
    *
    * @async
    * @generator
    * @param {string|Array<Message>} input - User input or message array
    * @param {Object} [config={}] - Runtime configuration
-   * @yields {AIMessage} Chunks of generated text
+   * @param {AbortSignal} [config.signal] - Stops generation when aborted
+   * @yields {AIMessage} Chunks of generated text, then an empty chunk
+   *   whose additionalKwargs.usage holds the call's token counts
+   * @throws {CancellationError} If config.signal is aborted mid-stream
    *
    * @example Basic Streaming
    * ```javascript
@@ -445,7 +597,8 @@ export class LlamaCppLLM extends Runnable {
    *   .pipe(llm)
    *   .pipe(parser);
    *
-   * // Only the last step (parser) gets streamed chunks
+   * // Chunks flow through every step; a parser with its own _transform()
+   * // emits output while the LLM is still generating
    * for await (const chunk of pipeline.stream(input)) {
    *   console.log(chunk);
    * }
@@ -463,8 +616,9 @@ export class LlamaCppLLM extends Runnable {
    * }
    * ```
    */
-  async* stream(input, config = {}) {
+  async* _stream(input, config = {}) {
     await this._initialize();
+    throwIfAborted(config.signal, this.name);
 
     // Clear history if requested
     if (config.clearHistory) {
@@ -496,15 +650,21 @@ export class LlamaCppLLM extends Runnable {
     // ALWAYS set system prompt (either new value or empty string to clear)
     this._chatSession.systemPrompt = systemPrompt;
 
+    // Charge the prompt to the run's budget, if any
+    const promptTokens = this._countPromptTokens(messages);
+    const maxTokens = this._chargePrompt(promptTokens, config);
+
+    let response;
     try {
       // Build prompt options
       const promptOptions = {
         temperature: config.temperature ?? this.temperature,
         topP: config.topP ?? this.topP,
         topK: config.topK ?? this.topK,
-        maxTokens: config.maxTokens ?? this.maxTokens,
+        maxTokens,
         repeatPenalty: config.repeatPenalty ?? this.repeatPenalty,
-        customStopTriggers: config.stopStrings ?? this.stopStrings
+        customStopTriggers: config.stopStrings ?? this.stopStrings,
+        signal: config.signal
       };
 
       // Add random seed if temperature > 0 and no seed specified
@@ -516,11 +676,16 @@ export class LlamaCppLLM extends Runnable {
 
       // Use onTextChunk callback to stream chunks as they arrive
       const self = this;
+      const callbackManager = new CallbackManager(config.callbacks);
+      const tokenNotifications = [];
       promptOptions.onTextChunk = (chunk) => {
         // This callback is synchronous, so we can't yield directly
         // We'll collect chunks and yield them after
         self._currentStreamChunks = self._currentStreamChunks || [];
         self._currentStreamChunks.push(chunk);
+
+        // Report tokens to callbacks as they are generated
+        tokenNotifications.push(callbackManager.handleLLMNewToken(chunk, config));
       };
 
       // Initialize chunk collection
@@ -561,14 +726,26 @@ export class LlamaCppLLM extends Runnable {
       }
 
       // Wait for the full response
-      await responsePromise;
+      response = await responsePromise;
+      await Promise.all(tokenNotifications);
 
       // Clean up
       delete this._currentStreamChunks;
 
     } catch (error) {
+      if (config.signal?.aborted) {
+        throw CancellationError.fromSignal(config.signal, this.name);
+      }
       throw new Error(`Streaming failed: ${error.message}`);
     }
+
+    const completionTokens = this._countTokens(response);
+    this._chargeCompletion(completionTokens, config);
+
+    // A last, empty chunk with the tokens the call took
+    yield new AIMessage('', {
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    });
   }
 
   /**
@@ -622,6 +799,45 @@ export class LlamaCppLLM extends Runnable {
     }
   }
 
+  /**
+   * Describe this LLM as plain JSON (see loadRunnable)
+   *
+   * Only constructor options are saved - never the loaded model.
+   * Custom chatWrapper instances can't be serialized, so they are rejected.
+   *
+   * @returns {Object} Manifest: { type: 'LlamaCppLLM', kwargs }
+   *
+   * @example
+   * ```javascript
+   * const manifest = llm.toManifest();
+   * // { type: 'LlamaCppLLM', kwargs: { modelPath: './model.gguf', temperature: 0.7, ... } }
+   * ```
+   */
+  toManifest() {
+    if (this.chatWrapper !== 'auto') {
+      throw new Error(
+          `Can't save a manifest for ${this.name} with a custom chatWrapper ` +
+          `(${this.chatWrapper.constructor.name}); only the auto-selected wrapper is serializable`
+      );
+    }
+
+    return {
+      type: 'LlamaCppLLM',
+      kwargs: {
+        modelPath: this.modelPath,
+        temperature: this.temperature,
+        topP: this.topP,
+        topK: this.topK,
+        maxTokens: this.maxTokens,
+        repeatPenalty: this.repeatPenalty,
+        contextSize: this.contextSize,
+        batchSize: this.batchSize,
+        verbose: this.verbose,
+        stopStrings: [...this.stopStrings]
+      }
+    };
+  }
+
   /**
    * String representation for debugging
    *
@@ -0,0 +1,244 @@
+/**
+ * Pipeline manifests - save and load Runnable graphs as JSON
+ *
+ * A manifest is the plain-JSON description returned by toManifest():
+ *
+ * {
+ *   "type": "RunnableSequence",
+ *   "name": "Summarizer",
+ *   "steps": [
+ *     { "type": "MyPromptFormatter", "kwargs": { "template": "Summarize: {text}" } },
+ *     { "type": "LlamaCppLLM", "kwargs": { "modelPath": "./models/qwen.gguf", "temperature": 0.2 } }
+ *   ]
+ * }
+ *
+ * loadRunnable() rebuilds it by looking each `type` up in a registry,
+ * so model paths or temperatures can change without touching code.
+ *
+ * @module core/manifest
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import {
+  RunnableSequence,
+  RunnableParallel,
+  RunnablePassthrough,
+  RunnableAssign,
+  RunnableRetry,
+  RunnableTimeout,
+  RunnableWithFallbacks,
+  RunnableBinding,
+  RunnableConfigurableFields,
+  RunnableConfigurableAlternatives
+} from './runnable.js';
+import { RunnableBranch } from './runnable-branch.js';
+import { ManifestError } from './errors.js';
+
+/**
+ * RunnableRegistry - Maps manifest types to factories
+ *
+ * A factory receives (manifest, load) and returns a Runnable (or a
+ * promise of one); `load` rebuilds nested manifests.
+ */
+export class RunnableRegistry {
+  constructor() {
+    this.factories = new Map();
+  }
+
+  /**
+   * Register a factory for a manifest type
+   *
+   * @param {string} type - Value of `type` in the manifest
+   * @param {Function} factory - (manifest, load) => Runnable
+   * @returns {RunnableRegistry} this, for chaining
+   */
+  register(type, factory) {
+    if (typeof factory !== 'function') {
+      throw new Error(`Factory for '${type}' must be a function`);
+    }
+    this.factories.set(type, factory);
+    return this;
+  }
+
+  /**
+   * Check if a type is registered
+   */
+  has(type) {
+    return this.factories.has(type);
+  }
+
+  /**
+   * List registered types
+   */
+  getTypes() {
+    return [...this.factories.keys()];
+  }
+
+  /**
+   * Rebuild a Runnable (and everything nested in it) from a manifest
+   *
+   * @param {Object} manifest - Manifest from toManifest()
+   * @returns {Promise<Runnable>}
+   * @throws {ManifestError} If the manifest is malformed or uses an unknown type
+   */
+  async load(manifest) {
+    if (!manifest || typeof manifest !== 'object' || typeof manifest.type !== 'string') {
+      throw new ManifestError(
+        `Invalid manifest: expected an object with a string 'type', got ${JSON.stringify(manifest)}`
+      );
+    }
+
+    const factory = this.factories.get(manifest.type);
+    if (!factory) {
+      throw new ManifestError(
+        `Unknown component type '${manifest.type}'. ` +
+        `Registered types: ${this.getTypes().join(', ')}. ` +
+        'Use registerRunnable() to add your own.'
+      );
+    }
+
+    try {
+      return await factory(manifest, (nested) => this.load(nested));
+    } catch (error) {
+      if (error instanceof ManifestError) throw error;
+      throw new ManifestError(
+        `Failed to load '${manifest.type}': ${error.message}`,
+        { cause: error }
+      );
+    }
+  }
+}
+
+/**
+ * Registry used by loadRunnable() unless another one is passed
+ *
+ * Pre-registered with the core composition, reliability, routing and binding
+ * types and LlamaCppLLM (imported lazily, so loading a manifest without an
+ * LLM doesn't load node-llama-cpp).
+ */
+export const defaultRegistry = new RunnableRegistry()
+  .register('RunnableSequence', async (manifest, load) =>
+    new RunnableSequence(
+      await Promise.all(requireField(manifest, 'steps').map(load)),
+      { name: manifest.name }
+    )
+  )
+  .register('RunnableParallel', async (manifest, load) => {
+    const steps = {};
+    for (const [name, step] of Object.entries(requireField(manifest, 'steps'))) {
+      steps[name] = await load(step);
+    }
+    return new RunnableParallel(steps, manifest.options ?? {});
+  })
+  .register('RunnablePassthrough', () => new RunnablePassthrough())
+  .register('RunnableAssign', async (manifest, load) =>
+    new RunnableAssign(await load(requireField(manifest, 'mapper')))
+  )
+  .register('RunnableRetry', async (manifest, load) =>
+    new RunnableRetry(await load(requireField(manifest, 'bound')), manifest.options ?? {})
+  )
+  .register('RunnableTimeout', async (manifest, load) =>
+    new RunnableTimeout(await load(requireField(manifest, 'bound')), requireField(manifest, 'timeoutMs'))
+  )
+  .register('RunnableWithFallbacks', async (manifest, load) =>
+    new RunnableWithFallbacks(
+      await load(requireField(manifest, 'runnable')),
+      await Promise.all(requireField(manifest, 'fallbacks').map(load))
+    )
+  )
+  .register('RunnableBranch', async (manifest, load) => {
+    const branches = await Promise.all(
+      requireField(manifest, 'branches').map(pair => Promise.all(pair.map(load)))
+    );
+    return new RunnableBranch([...branches, await load(requireField(manifest, 'default'))]);
+  })
+  .register('RunnableBinding', async (manifest, load) =>
+    new RunnableBinding(await load(requireField(manifest, 'bound')), manifest.config ?? {})
+  )
+  .register('RunnableConfigurableFields', async (manifest, load) =>
+    new RunnableConfigurableFields(
+      await load(requireField(manifest, 'bound')),
+      requireField(manifest, 'fields')
+    )
+  )
+  .register('RunnableConfigurableAlternatives', async (manifest, load) => {
+    const alternatives = {};
+    for (const [key, alternative] of Object.entries(requireField(manifest, 'alternatives'))) {
+      alternatives[key] = await load(alternative);
+    }
+    return new RunnableConfigurableAlternatives(await load(requireField(manifest, 'bound')), {
+      id: manifest.id,
+      defaultKey: manifest.defaultKey,
+      alternatives
+    });
+  })
+  .register('LlamaCppLLM', async (manifest) => {
+    const { LlamaCppLLM } = await import('./llm/llama-cpp-llm.js');
+    return new LlamaCppLLM(manifest.kwargs ?? {});
+  });
+
+/**
+ * Register a factory on the default registry
+ *
+ * @param {string} type - Value of `type` in the manifest
+ * @param {Function} factory - (manifest, load) => Runnable
+ *
+ * @example
+ * registerRunnable('PromptFormatter', (manifest) => new PromptFormatter(manifest.kwargs));
+ */
+export function registerRunnable(type, factory) {
+  defaultRegistry.register(type, factory);
+}
+
+/**
+ * Rebuild a Runnable from a manifest object or JSON string
+ *
+ * @param {Object|string} manifest - Manifest from toManifest()
+ * @param {Object} [options]
+ * @param {RunnableRegistry} [options.registry=defaultRegistry] - Where to look up types
+ * @returns {Promise<Runnable>}
+ *
+ * @example
+ * const pipeline = await loadRunnable(formatter.pipe(llm).toManifest());
+ */
+export async function loadRunnable(manifest, options = {}) {
+  const registry = options.registry ?? defaultRegistry;
+  const parsed = typeof manifest === 'string' ? JSON.parse(manifest) : manifest;
+  return registry.load(parsed);
+}
+
+/**
+ * Load a Runnable from a JSON manifest file
+ *
+ * @param {string} filePath - Path to the manifest
+ * @param {Object} [options] - Same as loadRunnable()
+ * @returns {Promise<Runnable>}
+ */
+export async function loadRunnableFromFile(filePath, options = {}) {
+  const json = await readFile(filePath, 'utf-8');
+  return loadRunnable(json, options);
+}
+
+/**
+ * Save a Runnable's manifest to a JSON file
+ *
+ * @param {Runnable} runnable - Runnable to describe
+ * @param {string} filePath - Where to write the manifest
+ */
+export async function saveManifest(runnable, filePath) {
+  await writeFile(filePath, JSON.stringify(runnable.toManifest(), null, 2), 'utf-8');
+}
+
+/**
+ * Read a required field from a manifest
+ *
+ * @private
+ */
+function requireField(manifest, field) {
+  if (manifest[field] === undefined) {
+    throw new ManifestError(`Manifest of type '${manifest.type}' is missing '${field}'`);
+  }
+  return manifest[field];
+}
+
+export default loadRunnable;
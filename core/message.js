@@ -48,6 +48,19 @@ export class BaseMessage {
     return message;
   }
 
+  /**
+   * Combine with a following chunk of the same message (used when streaming)
+   *
+   * @param {BaseMessage} other - The next chunk
+   * @returns {BaseMessage} A new message with both contents joined
+   */
+  concat(other) {
+    return new this.constructor(
+      this.content + other.content,
+      { ...this.additionalKwargs, ...other.additionalKwargs }
+    );
+  }
+
   /**
    * Format for display
    */
@@ -168,6 +181,14 @@ export class ToolMessage extends BaseMessage {
     return 'tool';
   }
 
+  concat(other) {
+    return new ToolMessage(
+      this.content + other.content,
+      this.toolCallId,
+      { ...this.additionalKwargs, ...other.additionalKwargs }
+    );
+  }
+
   toPromptFormat() {
     return {
       role: 'tool',
@@ -0,0 +1,124 @@
+import { Runnable, coerceToRunnable } from './runnable.js';
+import { CallbackManager } from '../utils/index.js';
+
+/**
+ * RunnableBranch - Route input to the first branch whose condition matches
+ *
+ * Conditions are checked in order; the first truthy one picks its Runnable.
+ * If none match, the default Runnable runs.
+ *
+ * Conditions may be sync/async predicates or Runnables themselves.
+ * Branches may be Runnables, functions or objects (coerced like in pipe()).
+ *
+ * The chosen branch runs with metadata.branchIndex (a number, or 'default')
+ * and is reported to callbacks through onChainStep, so traces show the path.
+ *
+ * Example:
+ * const router = new RunnableBranch([
+ *   [input => input.type === 'review', reviewParser],
+ *   [input => input.type === 'contact', contactParser],
+ *   fallbackParser
+ * ]);
+ *
+ * await router.invoke({ type: 'review', text: '...' }); // runs reviewParser
+ */
+export class RunnableBranch extends Runnable {
+  /**
+   * @param {Array} branches - [condition, runnable] pairs followed by the default runnable
+   */
+  constructor(branches) {
+    super();
+
+    if (!Array.isArray(branches) || branches.length < 2) {
+      throw new Error(
+        'RunnableBranch requires at least one [condition, runnable] pair and a default runnable'
+      );
+    }
+
+    const pairs = branches.slice(0, -1);
+    const defaultBranch = branches[branches.length - 1];
+
+    this.branches = pairs.map((pair, index) => {
+      if (!Array.isArray(pair) || pair.length !== 2) {
+        throw new Error(`Branch ${index} must be a [condition, runnable] pair`);
+      }
+      return [coerceToRunnable(pair[0]), coerceToRunnable(pair[1])];
+    });
+
+    if (Array.isArray(defaultBranch)) {
+      throw new Error('The last RunnableBranch entry must be the default runnable, not a pair');
+    }
+    this.default = coerceToRunnable(defaultBranch);
+  }
+
+  /**
+   * Conditions are saved like any other step, so a plain-function
+   * condition (a RunnableLambda) can't be saved
+   */
+  toManifest() {
+    return {
+      type: 'RunnableBranch',
+      branches: this.branches.map(([condition, branch]) => [
+        condition.toManifest(),
+        branch.toManifest()
+      ]),
+      default: this.default.toManifest()
+    };
+  }
+
+  _buildGraph(graph) {
+    const entry = graph.addNode(this.name, this);
+    const exits = [];
+
+    const targets = [
+      ...this.branches.map(([, branch], index) => [branch, `condition ${index}`]),
+      [this.default, 'default']
+    ];
+    for (const [branch, label] of targets) {
+      const sub = branch._buildGraph(graph);
+      graph.addEdge(entry, sub.entry, label);
+      exits.push(...sub.exits);
+    }
+
+    return { entry, exits };
+  }
+
+  /**
+   * Evaluate conditions in order and run the matching branch
+   *
+   * @param {any} input - Input passed to conditions and to the chosen branch
+   * @param {Object} config - Optional configuration
+   * @returns {Promise<any>} Output of the chosen branch
+   */
+  async _call(input, config) {
+    for (const [index, [condition, branch]] of this.branches.entries()) {
+      const matched = await condition.invoke(input, config);
+
+      if (matched) {
+        return await this._runBranch(index, branch, input, config);
+      }
+    }
+
+    return await this._runBranch('default', this.default, input, config);
+  }
+
+  /**
+   * Run the chosen branch and report the choice to callbacks
+   *
+   * @private
+   */
+  async _runBranch(index, branch, input, config) {
+    const branchConfig = config.child({
+      metadata: { branchIndex: index, branchName: branch.name }
+    });
+
+    const output = await branch.invoke(input, branchConfig);
+
+    await new CallbackManager(config.callbacks)
+      .handleChainStep(branch.name, output, branchConfig);
+
+    return output;
+  }
+}
+
+export default RunnableBranch;
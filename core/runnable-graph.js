@@ -0,0 +1,202 @@
+/**
+ * RunnableGraph - Node/edge view of a composed pipeline
+ *
+ * Built by runnable.getGraph(); exports to Mermaid, Graphviz DOT and
+ * plain ASCII so pipeline structure can be pasted into docs and reviews.
+ *
+ * @module core/runnable-graph
+ */
+export class RunnableGraph {
+  constructor() {
+    this.nodes = new Map(); // id -> { id, name, runnable }
+    this.edges = [];        // { source, target, label }
+    this.configurableIds = new Set(); // ids declared with configurableFields()/Alternatives()
+  }
+
+  /**
+   * Add a node
+   *
+   * @param {string} name - Label shown in diagrams
+   * @param {Runnable} [runnable] - The Runnable this node stands for
+   * @returns {string} The new node's id
+   */
+  addNode(name, runnable = null) {
+    const id = `n${this.nodes.size}`;
+    this.nodes.set(id, { id, name, runnable });
+    return id;
+  }
+
+  /**
+   * Add a directed edge between two node ids
+   *
+   * @param {string} source - Node id the edge starts from
+   * @param {string} target - Node id the edge points to
+   * @param {string} [label] - Optional edge label (e.g. a parallel key)
+   */
+  addEdge(source, target, label = null) {
+    this.edges.push({ source, target, label });
+  }
+
+  /**
+   * Nodes with no incoming edges
+   */
+  getRootNodes() {
+    const targets = new Set(this.edges.map(edge => edge.target));
+    return [...this.nodes.values()].filter(node => !targets.has(node.id));
+  }
+
+  /**
+   * Render as a Mermaid flowchart
+   *
+   * @param {Object} [options]
+   * @param {string} [options.direction='TD'] - Mermaid direction (TD, LR, ...)
+   * @returns {string}
+   */
+  toMermaid(options = {}) {
+    const lines = [`graph ${options.direction ?? 'TD'}`];
+
+    for (const node of this.nodes.values()) {
+      const label = node.name.replace(/"/g, '#quot;');
+      lines.push(node.runnable
+        ? `    ${node.id}["${label}"]`
+        : `    ${node.id}(["${label}"])`);
+    }
+    for (const edge of this._sortedEdges()) {
+      const label = edge.label ? `|${String(edge.label).replace(/\|/g, '/')}|` : '';
+      lines.push(`    ${edge.source} -->${label} ${edge.target}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render as Graphviz DOT
+   *
+   * @param {Object} [options]
+   * @param {string} [options.name='Pipeline'] - Graph name
+   * @returns {string}
+   */
+  toDot(options = {}) {
+    const quote = (text) => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const lines = [`digraph ${quote(options.name ?? 'Pipeline')} {`, '  rankdir=TB;'];
+
+    for (const node of this.nodes.values()) {
+      const shape = node.runnable ? 'box' : 'oval';
+      lines.push(`  ${node.id} [label=${quote(node.name)}, shape=${shape}];`);
+    }
+    for (const edge of this._sortedEdges()) {
+      const label = edge.label ? ` [label=${quote(edge.label)}]` : '';
+      lines.push(`  ${edge.source} -> ${edge.target}${label};`);
+    }
+
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  /**
+   * Render as ASCII boxes, one row per layer, top to bottom
+   *
+   * Edge labels are left out; use toMermaid() or toDot() for those.
+   *
+   * @returns {string}
+   */
+  toAscii() {
+    const gap = '   ';
+
+    const layers = this._layers().map(layer => {
+      const boxes = layer.map(node => {
+        const border = `+${'-'.repeat(node.name.length + 2)}+`;
+        return [border, `| ${node.name} |`, border];
+      });
+      const width = boxes.reduce((sum, box) => sum + box[0].length, 0) +
+        gap.length * (boxes.length - 1);
+      return { boxes, width };
+    });
+    const totalWidth = Math.max(0, ...layers.map(layer => layer.width));
+
+    const rows = [];
+    let previousCenters = null;
+
+    for (const { boxes, width } of layers) {
+      // Center each layer, and note the column where each box's center sits
+      const indent = ' '.repeat(Math.floor((totalWidth - width) / 2));
+      const centers = [];
+      let offset = indent.length;
+      for (const box of boxes) {
+        centers.push(offset + Math.floor(box[0].length / 2));
+        offset += box[0].length + gap.length;
+      }
+
+      if (previousCenters) {
+        rows.push(markAt(previousCenters, '|'));
+        rows.push(markAt(centers, 'v'));
+      }
+      for (let line = 0; line < 3; line++) {
+        rows.push(indent + boxes.map(box => box[line]).join(gap));
+      }
+      previousCenters = centers;
+    }
+
+    return rows.map(row => row.trimEnd()).join('\n');
+  }
+
+  /**
+   * Edges ordered by where their source node was added, for readable output
+   *
+   * @private
+   */
+  _sortedEdges() {
+    const order = new Map([...this.nodes.keys()].map((id, index) => [id, index]));
+    return [...this.edges].sort((a, b) => order.get(a.source) - order.get(b.source));
+  }
+
+  /**
+   * Group nodes into layers by longest path from a root
+   *
+   * @private
+   */
+  _layers() {
+    const incoming = new Map([...this.nodes.keys()].map(id => [id, 0]));
+    for (const edge of this.edges) {
+      incoming.set(edge.target, incoming.get(edge.target) + 1);
+    }
+
+    const layerOf = new Map();
+    const queue = [...this.nodes.keys()].filter(id => incoming.get(id) === 0);
+    queue.forEach(id => layerOf.set(id, 0));
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+      for (const edge of this.edges.filter(e => e.source === id)) {
+        layerOf.set(edge.target, Math.max(layerOf.get(edge.target) ?? 0, layerOf.get(id) + 1));
+        incoming.set(edge.target, incoming.get(edge.target) - 1);
+        if (incoming.get(edge.target) === 0) queue.push(edge.target);
+      }
+    }
+
+    // Nodes on a cycle never reach zero incoming edges; put them last
+    const lastLayer = Math.max(-1, ...layerOf.values()) + 1;
+    const layers = [];
+    for (const node of this.nodes.values()) {
+      const layer = layerOf.get(node.id) ?? lastLayer;
+      (layers[layer] ??= []).push(node);
+    }
+    return layers.filter(Boolean);
+  }
+}
+
+/**
+ * A line with `char` at each given column
+ *
+ * @private
+ */
+function markAt(columns, char) {
+  const line = [];
+  for (const column of columns) {
+    while (line.length < column) line.push(' ');
+    line[column] = char;
+  }
+  return line.join('');
+}
+
+export default RunnableGraph;
@@ -1,29 +1,85 @@
-import RunnableConfig from "./context.js";
-import {CallbackManager} from "../utils/index.js";
+import RunnableConfig, {
+    DEFAULT_RECURSION_LIMIT,
+    getCurrentConfig,
+    resolveConfig,
+    runWithConfig
+} from "./context.js";
+import {
+    CallbackManager,
+    ConcurrencyManager,
+    RetryManager,
+    SchemaValidator,
+    TimeoutManager
+} from "../utils/index.js";
+import {EventStreamCallback} from "../utils/callbacks.js";
+import {RunnableGraph} from "./runnable-graph.js";
+import {CheckpointThread} from "./checkpoint.js";
+import {applyEdits, resumeRun} from "./interrupt.js";
+import {
+    CancellationError,
+    InterruptError,
+    RecursionLimitError,
+    SchemaValidationError,
+    TimeoutError,
+    throwIfAborted
+} from "./errors.js";
+
+/**
+ * Checks declared input/output schemas
+ *
+ * A schema lists what a step relies on, so other properties (e.g. the rest
+ * of a message object) are allowed unless the schema sets
+ * additionalProperties: false. Runs with config.strictSchemas use
+ * strictSchemaValidator, which rejects them unless it sets
+ * additionalProperties: true.
+ */
+const schemaValidator = new SchemaValidator({strictMode: false});
+const strictSchemaValidator = new SchemaValidator({strictMode: false, rejectExtraProperties: true});
 
 /**
  * Runnable - Base class for all composable components
  *
  * Every Runnable must implement the _call() method.
  * This base class provides invoke, stream, batch, and pipe.
+ *
+ * Subclasses may declare inputSchema / outputSchema (JSON schemas, as
+ * understood by SchemaValidator). Each run then checks its input and
+ * output against them and fails with a SchemaValidationError on a mismatch.
  */
 export class Runnable {
     constructor() {
         this.name = this.constructor.name;
+
+        // Optional JSON schemas for what this Runnable accepts and returns
+        this.inputSchema = null;
+        this.outputSchema = null;
     }
 
     /**
      * Main execution method - processes a single input
      *
+     * If config.signal is aborted, the run stops waiting on _call() and
+     * rejects with a CancellationError (onError callbacks still fire).
+     *
+     * Each invoke runs one level deeper than the config it was given;
+     * nesting past config.recursionLimit raises a RecursionLimitError.
+     *
      * @param {any} input - The input to process
      * @param {Object} config - Optional configuration
      * @returns {Promise<any>} The processed output
+     * @throws {CancellationError} If the run is aborted
+     * @throws {RecursionLimitError} If runs nest deeper than config.recursionLimit
+     * @throws {SchemaValidationError} If input or output doesn't match a declared schema
      */
     async invoke(input, config = {}) {
-        // Normalize config to RunnableConfig instance
-        const runnableConfig = config instanceof RunnableConfig
-            ? config
-            : new RunnableConfig(config);
+        assertKnownConfigurable(this, config);
+
+        // Normalize config to RunnableConfig instance (inheriting from the
+        // run this was invoked from)
+        const parentConfig = resolveConfig(config);
+
+        // Config for this run (and whatever it invokes in turn)
+        const runnableConfig = parentConfig.forRun(this.name, this.constructor.name);
 
         // Create callback manager
         const callbackManager = new CallbackManager(runnableConfig.callbacks);
@@ -32,17 +88,32 @@ export class Runnable {
             // Notify callbacks: starting
             await callbackManager.handleStart(this, input, runnableConfig);
 
-            // Execute the runnable
-            const output = await this._call(input, runnableConfig);
+            // Stop runaway loops and runs that were already cancelled
+            assertCanRun(this, runnableConfig);
+            assertMatchesSchema(this, 'input', input, runnableConfig);
+
+            // Execute the runnable (stop waiting as soon as the signal aborts);
+            // nested invocations find runnableConfig even if it isn't passed on
+            const output = await raceWithSignal(
+                runWithConfig(runnableConfig, () => this._call(input, runnableConfig)),
+                runnableConfig.signal,
+                this.name
+            );
+            assertMatchesSchema(this, 'output', output, runnableConfig);
 
             // Notify callbacks: success
             await callbackManager.handleEnd(this, output, runnableConfig);
 
             return output;
-        } catch (error) {
+        } catch (caught) {
+            const error = toRunError(caught, runnableConfig, this.name);
+
             // Notify callbacks: error
             await callbackManager.handleError(this, error, runnableConfig);
             throw error;
+        } finally {
+            // Stop the budget's clock if this run started it
+            runnableConfig.budget?.end(runnableConfig.runId);
         }
     }
 
@@ -62,15 +133,86 @@ export class Runnable {
     /**
      * Stream output in chunks
      *
+     * Runs _stream() with the same callbacks, recursion limit and
+     * cancellation as invoke(); onEnd receives the chunks combined.
+     *
      * @param {any} input - The input to process
      * @param {Object} config - Optional configuration
      * @yields {any} Output chunks
      */
     async* stream(input, config = {}) {
-        // Default implementation: just yield the full result
-        // Subclasses can override for true streaming
-        const result = await this.invoke(input, config);
-        yield result;
+        yield* this._streamRun(input, config, (runConfig) => {
+            assertMatchesSchema(this, 'input', input, runConfig);
+            return this._stream(input, runConfig);
+        });
+    }
+
+    /**
+     * Stream output while consuming a stream of input chunks
+     *
+     * This is how a step in a streaming pipeline receives the previous
+     * step's chunks. The input isn't known up front, so onStart receives
+     * undefined as its input, and the combined input is checked against
+     * the input schema once the last chunk has arrived.
+     *
+     * @param {AsyncIterable<any>} inputStream - Chunks from the upstream step
+     * @param {Object} config - Optional configuration
+     * @yields {any} Output chunks
+     */
+    async* transform(inputStream, config = {}) {
+        yield* this._streamRun(undefined, config, (runConfig) => {
+            const checkedStream = this.inputSchema
+                ? reportWhenDone(inputStream, (input) => assertMatchesSchema(this, 'input', input, runConfig))
+                : inputStream;
+            return this._transform(checkedStream, runConfig);
+        });
+    }
+
+    /**
+     * Stream lifecycle and token events from this run and every nested run
+     *
+     * Built on the callback system: events are whatever the callbacks see,
+     * in the order they fire, so token and chain_step events appear for
+     * the runnables that report them. Stopping iteration early cancels the run.
+     *
+     * @param {any} input - The input to process
+     * @param {Object} config - Optional configuration
+     * @yields {Object} Events shaped like
+     *   { event: 'start'|'end'|'error'|'token'|'chain_step'|'cache_hit',
+     *     runId, parentRunId, name, tags, metadata, data, timestamp }
+     *
+     * @example
+     * for await (const event of chain.streamEvents(input)) {
+     *   if (event.event === 'token') process.stdout.write(event.data.token);
+     *   if (event.event === 'end') console.log(`\n${event.name} done`);
+     * }
+     */
+    async* streamEvents(input, config = {}) {
+        assertKnownConfigurable(this, config);
+        const baseConfig = resolveConfig(config);
+
+        const events = new EventStreamCallback();
+        const controller = new AbortController();
+        let finished = false;
+
+        // Run in the background; the collector ends the stream when it settles
+        this.invoke(input, baseConfig.child({callbacks: [events], signal: controller.signal}))
+            .then(
+                () => events.close(),
+                (error) => events.close(error)
+            )
+            .finally(() => {
+                finished = true;
+            });
+
+        try {
+            yield* events;
+        } finally {
+            // The consumer stopped early - don't leave the run going
+            if (!finished) {
+                controller.abort(new CancellationError(`${this.name} event stream was closed`));
+            }
+        }
     }
 
     /**
@@ -81,29 +223,332 @@ export class Runnable {
         yield await this._call(input, config);
     }
 
+    /**
+     * Internal transform method for subclasses
+     *
+     * Default: wait for the whole input, then stream the output.
+     * Override this to emit chunks while input is still arriving
+     * (e.g. a parser that handles text as it is generated).
+     *
+     * @param {AsyncIterable<any>} inputStream - Chunks from the upstream step
+     * @param {Object} config - Run configuration
+     * @yields {any} Output chunks
+     */
+    async* _transform(inputStream, config) {
+        let input;
+        for await (const chunk of inputStream) {
+            input = concatChunks(input, chunk);
+        }
+        yield* this._stream(input, config);
+    }
+
+    /**
+     * Shared run bookkeeping for stream() and transform()
+     *
+     * @private
+     */
+    async* _streamRun(input, config, createStream) {
+        assertKnownConfigurable(this, config);
+        const runnableConfig = resolveConfig(config).forRun(this.name, this.constructor.name);
+        const callbackManager = new CallbackManager(runnableConfig.callbacks);
+
+        let output;
+        let iterator;
+        let settled = false;
+
+        try {
+            await callbackManager.handleStart(this, input, runnableConfig);
+            assertCanRun(this, runnableConfig);
+
+            // A generator's body runs in the context of whoever calls next()
+            iterator = runWithConfig(runnableConfig, () =>
+                createStream(runnableConfig)[Symbol.asyncIterator]()
+            );
+            while (true) {
+                const {value, done} = await raceWithSignal(
+                    runWithConfig(runnableConfig, () => iterator.next()),
+                    runnableConfig.signal,
+                    this.name
+                );
+                if (done) break;
+
+                output = concatChunks(output, value);
+                yield value;
+            }
+
+            settled = true;
+            assertMatchesSchema(this, 'output', output, runnableConfig);
+            await callbackManager.handleEnd(this, output, runnableConfig);
+        } catch (caught) {
+            settled = true;
+            const error = toRunError(caught, runnableConfig, this.name);
+            await callbackManager.handleError(this, error, runnableConfig);
+            throw error;
+        } finally {
+            // The consumer stopped early: close the source and end with what we have
+            if (!settled) {
+                iterator?.return?.().catch(() => {});
+                await callbackManager.handleEnd(this, output, runnableConfig);
+            }
+            runnableConfig.budget?.end(runnableConfig.runId);
+        }
+    }
+
     /**
      * Process multiple inputs in parallel
      *
+     * Outputs keep the order of the inputs. By default the first failure
+     * rejects the whole batch; with returnExceptions the error is placed
+     * in the output array instead and the other inputs still complete.
+     *
      * @param {Array<any>} inputs - Array of inputs to process
      * @param {Object} config - Optional configuration
-     * @returns {Promise<Array<any>>} Array of outputs
+     * @param {number} [config.maxConcurrency] - Max invocations in flight at once
+     * @param {boolean} [config.returnExceptions=false] - Return errors in place of results
+     * @returns {Promise<Array<any>>} Array of outputs (or Errors)
      */
     async batch(inputs, config = {}) {
-        // Use Promise.all for parallel execution
-        return await Promise.all(
-            inputs.map(input => this.invoke(input, config))
-        );
+        assertKnownConfigurable(this, config);
+        const runnableConfig = resolveConfig(config);
+        const returnExceptions = runnableConfig.returnExceptions ?? false;
+
+        const concurrency = new ConcurrencyManager({
+            maxConcurrency: runnableConfig.maxConcurrency
+        });
+
+        return await concurrency.map(inputs, async (input) => {
+            try {
+                return await this.invoke(input, runnableConfig);
+            } catch (error) {
+                if (returnExceptions) return error;
+                throw error;
+            }
+        });
     }
 
     /**
      * Compose this Runnable with another
      * Creates a new Runnable that runs both in sequence
      *
-     * @param {Runnable} other - The Runnable to pipe to
+     * Plain functions become RunnableLambdas and plain objects become
+     * RunnableParallels, so `prompt.pipe(llm).pipe(m => m.content)` works.
+     *
+     * @param {Runnable|Function|Object} other - The Runnable to pipe to
      * @returns {RunnableSequence} A new composed Runnable
      */
     pipe(other) {
-        return new RunnableSequence([this, other]);
+        return new RunnableSequence([this, coerceToRunnable(other)]);
+    }
+
+    /**
+     * Retry this Runnable when it fails, with exponential backoff
+     *
+     * Every attempt is a separate invoke(), so callbacks see each one
+     * (tagged "retry:attempt:N"). A cancelled run is never retried.
+     *
+     * @param {Object} options - RetryManager options
+     * @param {number} [options.maxRetries=3] - Retries after the first attempt
+     * @param {number} [options.initialDelay=1000] - Delay before the first retry (ms)
+     * @param {number} [options.backoffMultiplier=2] - Delay growth per retry
+     * @param {number} [options.maxDelay=30000] - Upper bound on the delay (ms)
+     * @param {Function} [options.shouldRetry] - (error) => boolean
+     * @param {Function} [options.onRetry] - (error, attempt, delay) => void
+     * @returns {RunnableRetry} A new Runnable wrapping this one
+     */
+    withRetry(options = {}) {
+        return new RunnableRetry(this, options);
+    }
+
+    /**
+     * Fail with a TimeoutError if this Runnable takes too long
+     *
+     * The wrapped run is aborted through its AbortSignal, so components
+     * that honour cancellation (like LlamaCppLLM) stop generating.
+     *
+     * @param {number} timeoutMs - Time limit in milliseconds
+     * @returns {RunnableTimeout} A new Runnable wrapping this one
+     */
+    withTimeout(timeoutMs) {
+        return new RunnableTimeout(this, timeoutMs);
+    }
+
+    /**
+     * Try other Runnables, in order, when this one fails
+     *
+     * @param {Array<Runnable>} fallbacks - Runnables to try after this one
+     * @param {Object} [options]
+     * @param {Function} [options.shouldFallback] - (error) => boolean, defaults to any error
+     * @returns {RunnableWithFallbacks} A new Runnable wrapping this one
+     */
+    withFallbacks(fallbacks, options = {}) {
+        return new RunnableWithFallbacks(this, fallbacks, options);
+    }
+
+    /**
+     * Bind default config (tags, callbacks, metadata, ...) to this Runnable
+     *
+     * Defaults combine with the config given at call time the way
+     * RunnableConfig.merge() does: callbacks and tags concatenate, metadata
+     * and configurable merge, and call-time values win everywhere else.
+     *
+     * @param {Object} config - Partial RunnableConfig
+     * @returns {RunnableBinding} A new Runnable wrapping this one
+     *
+     * @example
+     * const tracedLlm = llm.withConfig({ tags: ['prod'], callbacks: [logger] });
+     */
+    withConfig(config) {
+        return new RunnableBinding(this, config);
+    }
+
+    /**
+     * Bind call options (e.g. temperature, maxTokens) to this Runnable
+     *
+     * Same as withConfig(); call options travel in the config, and call-time
+     * values override the bound ones.
+     *
+     * @param {Object} kwargs - Call options to apply on every run
+     * @returns {RunnableBinding} A new Runnable wrapping this one
+     *
+     * @example
+     * const precise = llm.bind({ temperature: 0, maxTokens: 200 });
+     * await precise.invoke(messages); // runs with temperature 0
+     */
+    bind(kwargs) {
+        return new RunnableBinding(this, kwargs);
+    }
+
+    /**
+     * Let config.configurable set some of this Runnable's fields per call
+     *
+     * @param {Object} fields - Field name to { id, name?, description? };
+     *   the id is the key looked up in config.configurable
+     * @returns {RunnableConfigurableFields} A new Runnable wrapping this one
+     * @throws {Error} If a field doesn't exist on this Runnable
+     *
+     * @example
+     * const llm = baseLlm.configurableFields({ temperature: { id: 'llm_temp' } });
+     * await chain.invoke(input, { configurable: { llm_temp: 0.1 } });
+     */
+    configurableFields(fields) {
+        return new RunnableConfigurableFields(this, fields);
+    }
+
+    /**
+     * Let config.configurable swap this Runnable for another per call
+     *
+     * @param {Object} options
+     * @param {string} options.id - Key in config.configurable that picks the alternative
+     * @param {Object} options.alternatives - Key to Runnable
+     * @param {string} [options.defaultKey='default'] - Key that picks this Runnable
+     * @returns {RunnableConfigurableAlternatives} A new Runnable wrapping this one
+     *
+     * @example
+     * const llm = largeLlm.configurableAlternatives({
+     *   id: 'model', defaultKey: 'large', alternatives: { small: smallLlm }
+     * });
+     * await chain.invoke(input, { configurable: { model: 'small' } });
+     */
+    configurableAlternatives(options) {
+        return new RunnableConfigurableAlternatives(this, options);
+    }
+
+    /**
+     * Pipe into a step that adds computed keys to this Runnable's output
+     *
+     * The output must be an object; each value in the mapping is invoked
+     * with it and the results are merged in under their keys.
+     *
+     * @param {Object} mapping - Keys to Runnables (or functions) computing them
+     * @returns {RunnableSequence} This Runnable followed by a RunnableAssign
+     *
+     * @example
+     * const chain = retrieval.assign({ answer: prompt.pipe(llm) });
+     * // => { question, context, answer }
+     */
+    assign(mapping) {
+        return this.pipe(new RunnableAssign(mapping));
+    }
+
+    /**
+     * Describe this Runnable as plain JSON, for loadRunnable() to rebuild
+     *
+     * Subclasses that can be saved override this to return their type and
+     * options (as kwargs), and register a factory for that type with
+     * registerRunnable(). There is no default: a manifest without the
+     * options would load as a different Runnable.
+     *
+     * @returns {Object} Manifest: { type, kwargs }
+     * @throws {Error} Unless a subclass overrides it
+     */
+    toManifest() {
+        throw new Error(
+            `${this.name} can't be saved in a manifest: ${this.constructor.name} doesn't ` +
+            'override toManifest(). Override it and registerRunnable() a factory for its type.'
+        );
+    }
+
+    /**
+     * Build a node/edge graph of this Runnable and everything nested in it
+     *
+     * @returns {RunnableGraph} Graph with Input and Output nodes around the pipeline
+     *
+     * @example
+     * console.log(formatter.pipe(llm).pipe(parser).getGraph().toMermaid());
+     */
+    getGraph() {
+        const graph = new RunnableGraph();
+        const inputNode = graph.addNode('Input');
+        const {entry, exits} = this._buildGraph(graph);
+        const outputNode = graph.addNode('Output');
+
+        graph.addEdge(inputNode, entry);
+        for (const exit of exits) {
+            graph.addEdge(exit, outputNode);
+        }
+        return graph;
+    }
+
+    /**
+     * Schema of the input this Runnable accepts, if declared
+     *
+     * Wrappers and composites override these to report what's inside
+     * them, so RunnableSequence can check that adjacent steps fit.
+     *
+     * @returns {Object|null}
+     */
+    getInputSchema() {
+        return this.inputSchema;
+    }
+
+    /**
+     * Schema of the output this Runnable returns, if declared
+     *
+     * @returns {Object|null}
+     */
+    getOutputSchema() {
+        return this.outputSchema;
+    }
+
+    /**
+     * Add this Runnable's nodes to a graph
+     *
+     * Composite Runnables override this to add their children.
+     *
+     * @param {RunnableGraph} graph - Graph being built
+     * @returns {{entry: string, exits: string[]}} Node id where input enters,
+     *   and node ids whose output leaves
+     */
+    _buildGraph(graph) {
+        const node = graph.addNode(this.name, this);
+        return {entry: node, exits: [node]};
+    }
+
+    /**
+     * String representation for debugging
+     */
+    toString() {
+        return `${this.name}()`;
     }
 }
 
@@ -111,38 +556,1338 @@ export class Runnable {
  * RunnableSequence - Chains multiple Runnables together
  *
  * Output of one becomes input of the next
+ *
+ * With a checkpointer, invoke() saves the output of every step under
+ * config.configurable.thread_id, and a later invoke() on the same
+ * thread resumes after the last step that succeeded (see core/checkpoint.js).
+ * A step that calls interrupt() pauses the run; invoke() then returns a
+ * PendingApproval and resume() continues it (see core/interrupt.js).
  */
 export class RunnableSequence extends Runnable {
-    constructor(steps) {
+    /**
+     * @param {Array} steps - Runnables (or functions/objects) to run in order
+     * @param {Object} [options]
+     * @param {BaseCheckpointer} [options.checkpointer] - Saves progress after every step
+     * @param {string} [options.name] - Name shown in callbacks; checkpointed
+     *   pipelines sharing a thread_id need different names
+     * @throws {SchemaValidationError} If adjacent steps declare schemas that don't fit
+     */
+    constructor(steps, options = {}) {
         super();
-        this.steps = steps; // Array of Runnables
+        this.steps = steps.map(coerceToRunnable); // Array of Runnables
+        this.checkpointer = options.checkpointer ?? null;
+        this.name = options.name ?? this.name;
+
+        // Catch shape mismatches between steps before anything runs
+        for (let i = 1; i < this.steps.length; i++) {
+            assertStepsFit(this.steps[i - 1], this.steps[i], i);
+        }
+    }
+
+    getInputSchema() {
+        return this.steps[0]?.getInputSchema() ?? null;
+    }
+
+    getOutputSchema() {
+        return this.steps[this.steps.length - 1]?.getOutputSchema() ?? null;
     }
 
     async _call(input, config) {
         let output = input;
+        let start = 0;
+
+        const callbackManager = new CallbackManager(config.callbacks);
+
+        // Pick up where an unfinished run on this thread stopped
+        const thread = CheckpointThread.fromConfig(this.checkpointer, config, this._stepNames());
+        const resumed = await thread?.resumePoint();
+        const decision = await thread?.takeDecision(resumed);
+
+        if (resumed?.interrupt) {
+            // Still waiting for a human
+            if (decision === undefined) return thread.pendingApproval(resumed);
+            output = applyEdits(resumed.value, decision.edits);
+            start = resumed.step;
+        } else if (resumed) {
+            start = resumed.step;
+            output = resumed.value;
+        } else {
+            await thread?.save({step: 0, value: input, done: this.steps.length === 0});
+        }
 
         // Run through each step sequentially
-        for (const step of this.steps) {
-            output = await step.invoke(output, config);
+        for (let index = start; index < this.steps.length; index++) {
+            const step = this.steps[index];
+            throwIfAborted(config.signal, this.name);
+
+            // Only the step being resumed sees the decision
+            const stepConfig = thread
+                ? thread.configForSteps(config, index === start ? decision : undefined)
+                : config;
+
+            try {
+                output = await step.invoke(output, stepConfig);
+            } catch (error) {
+                if (error instanceof InterruptError && thread?.handlesInterrupts) {
+                    return await thread.interrupted({step: index, value: output}, step.name, error.value);
+                }
+                throw error;
+            }
+
+            // Notify callbacks: step completed
+            await callbackManager.handleChainStep(step.name, output, stepConfig);
+
+            await thread?.save({
+                step: index + 1,
+                value: output,
+                done: index + 1 === this.steps.length
+            });
         }
 
         return output;
     }
 
+    /**
+     * Stream through every step: each step transforms the chunks of the
+     * one before it, so output starts flowing as soon as every step can
+     * produce it (steps without their own _transform wait for full input)
+     */
     async *_stream(input, config) {
-        let output = input;
+        // Checkpoints are saved between whole steps, so a checkpointed run doesn't stream
+        if (CheckpointThread.fromConfig(this.checkpointer, config, this._stepNames())) {
+            yield await this._call(input, config);
+            return;
+        }
+
+        const [first, ...rest] = this.steps;
+        yield* this._pipeStreams(first.stream(input, config), first, rest, config);
+    }
+
+    async *_transform(inputStream, config) {
+        if (CheckpointThread.fromConfig(this.checkpointer, config, this._stepNames())) {
+            yield* super._transform(inputStream, config);
+            return;
+        }
+
+        const [first, ...rest] = this.steps;
+        yield* this._pipeStreams(first.transform(inputStream, config), first, rest, config);
+    }
+
+    /**
+     * Chain step streams together, reporting each step when it finishes
+     *
+     * @private
+     */
+    _pipeStreams(firstStream, firstStep, rest, config) {
+        const callbackManager = new CallbackManager(config.callbacks);
 
-        // Stream through all steps
-        for (let i = 0; i < this.steps.length - 1; i++) {
-            output = await this.steps[i].invoke(output, config);
+        let stream = reportWhenDone(firstStream, (output) =>
+            callbackManager.handleChainStep(firstStep.name, output, config)
+        );
+        for (const step of rest) {
+            stream = reportWhenDone(step.transform(stream, config), (output) =>
+                callbackManager.handleChainStep(step.name, output, config)
+            );
         }
+        return stream;
+    }
+
+    /**
+     * Continue a run that interrupt() paused
+     *
+     * @param {string} threadId - PendingApproval.threadId
+     * @param {Object|boolean} decision - { approved, edits?, reason? } (or just approved)
+     *   - approved: re-run the paused step, with edits applied to its input
+     *   - otherwise: finish the thread and throw a CancellationError
+     * @param {Object} [config] - Optional configuration
+     * @returns {Promise<any>} Output of the sequence, or another PendingApproval
+     */
+    async resume(threadId, decision, config = {}) {
+        return await resumeRun(this, threadId, decision, config);
+    }
 
-        // Only stream the last step
-        yield* this.steps[this.steps.length - 1].stream(output, config);
+    /**
+     * Step names saved with checkpoints, so only this pipeline resumes them
+     *
+     * @private
+     */
+    _stepNames() {
+        return this.steps.map(step => step.name);
     }
 
     // pipe() returns a new sequence with the added step
     pipe(other) {
-        return new RunnableSequence([...this.steps, other]);
+        return new RunnableSequence(
+            [...this.steps, coerceToRunnable(other)],
+            {checkpointer: this.checkpointer, name: this.name}
+        );
+    }
+
+    toManifest() {
+        return {
+            type: 'RunnableSequence',
+            name: this.name,
+            steps: this.steps.map(step => step.toManifest())
+        };
+    }
+
+    _buildGraph(graph) {
+        let entry = null;
+        let exits = [];
+
+        // Connect each step's exits to the next step's entry
+        for (const step of this.steps) {
+            const sub = step._buildGraph(graph);
+            entry ??= sub.entry;
+            for (const exit of exits) {
+                graph.addEdge(exit, sub.entry);
+            }
+            exits = sub.exits;
+        }
+
+        return {entry, exits};
+    }
+
+    // "A() | B() | C()", like the pipe operator in other frameworks
+    toString() {
+        return this.steps.map(step => step.toString()).join(' | ');
+    }
+}
+
+/**
+ * RunnableParallel - Execute multiple Runnables in parallel
+ *
+ * Useful for:
+ * - Running multiple independent tasks concurrently
+ * - Gathering data from multiple sources
+ * - Building complex agent workflows
+ *
+ * Example:
+ * const parallel = new RunnableParallel({
+ *   analysis: analyticsRunnable,
+ *   summary: summaryRunnable,
+ *   keywords: keywordRunnable
+ * });
+ *
+ * const results = await parallel.invoke("input text");
+ * // results = { analysis: ..., summary: ..., keywords: ... }
+ *
+ * Plain functions are accepted as values and wrapped in RunnableLambda.
+ *
+ * By default one failing branch fails the whole fan-out. In 'allSettled'
+ * mode every branch reports { value, durationMs } or { error, durationMs }
+ * instead, so a slow or broken source doesn't cost the others' results:
+ *
+ * const sources = new RunnableParallel(
+ *   { web: webSearch, docs: docSearch },
+ *   { mode: 'allSettled', branchTimeoutMs: 5000 }
+ * );
+ * // { web: { error: TimeoutError, durationMs: 5001 }, docs: { value: [...], durationMs: 230 } }
+ */
+export class RunnableParallel extends Runnable {
+    /**
+     * @param {Object} runnables - Branches keyed by output name
+     * @param {Object} [options]
+     * @param {string} [options.mode='all'] - 'all' (first error rejects) or 'allSettled'
+     * @param {number} [options.branchTimeoutMs] - Abort a branch with a TimeoutError after this long
+     * @param {number} [options.maxConcurrency] - Max branches in flight at once
+     *   (defaults to config.maxConcurrency)
+     */
+    constructor(runnables = {}, options = {}) {
+        super();
+
+        if (typeof runnables !== 'object' || Array.isArray(runnables)) {
+            throw new Error('RunnableParallel requires an object of named Runnables');
+        }
+
+        this.mode = options.mode ?? 'all';
+        this.branchTimeoutMs = options.branchTimeoutMs ?? null;
+        this.maxConcurrency = options.maxConcurrency ?? null;
+
+        if (this.mode !== 'all' && this.mode !== 'allSettled') {
+            throw new Error(`RunnableParallel mode must be 'all' or 'allSettled', got '${this.mode}'`);
+        }
+        if (this.branchTimeoutMs !== null && !(this.branchTimeoutMs > 0)) {
+            throw new Error(`branchTimeoutMs must be a positive number, got ${this.branchTimeoutMs}`);
+        }
+        if (this.maxConcurrency !== null && !(this.maxConcurrency >= 1)) {
+            throw new Error(`maxConcurrency must be at least 1, got ${this.maxConcurrency}`);
+        }
+
+        // Functions and nested objects are coerced, like in pipe()
+        this.runnables = {};
+        for (const [name, runnable] of Object.entries(runnables)) {
+            try {
+                this.runnables[name] = coerceToRunnable(runnable);
+            } catch {
+                throw new Error(
+                    `Property '${name}' must be a Runnable, a function, or an object of Runnables`
+                );
+            }
+        }
+        this.runnableNames = Object.keys(this.runnables);
+    }
+
+    /**
+     * Execute all Runnables in parallel with the same input
+     *
+     * @param {any} input - The input to pass to all Runnables
+     * @param {Object} config - Optional configuration
+     * @returns {Promise<Object>} Object with results keyed by Runnable names
+     */
+    async _call(input, config) {
+        return await this._runBranches(input, config);
+    }
+
+    /**
+     * Stream results from the fastest Runnable first
+     *
+     * In 'all' mode a failing branch ends the stream with its error, after
+     * the results that finished before it.
+     *
+     * @param {any} input - The input to pass to all Runnables
+     * @param {Object} config - Optional configuration
+     * @yields {Object} Partial results as they complete
+     */
+    async *_stream(input, config) {
+        const results = {};
+        let wake = () => {};
+        let finished = false;
+        let failure = null;
+
+        this._runBranches(input, config, (name, result) => {
+            results[name] = result;
+            wake();
+        }).then(
+            () => { finished = true; wake(); },
+            (error) => { failure = error; finished = true; wake(); }
+        );
+
+        // Yield the current results whenever another branch settles
+        let yielded = 0;
+        while (true) {
+            const count = Object.keys(results).length;
+            if (count > yielded) {
+                yielded = count;
+                yield {...results};
+            } else if (finished) {
+                break;
+            } else {
+                await new Promise(resolve => { wake = resolve; });
+            }
+        }
+
+        if (failure) throw failure;
     }
-}
\ No newline at end of file
+
+    /**
+     * Run every branch, at most maxConcurrency at a time
+     *
+     * Each finished branch is reported to callbacks as a chain step.
+     *
+     * @private
+     * @param {Function} [onSettled] - (name, result) => void, as each branch finishes
+     * @returns {Promise<Object>} Results keyed by branch name, in declaration order
+     */
+    async _runBranches(input, config, onSettled = null) {
+        const concurrency = new ConcurrencyManager({
+            maxConcurrency: this.maxConcurrency ?? config.maxConcurrency
+        });
+        const callbackManager = new CallbackManager(config.callbacks);
+
+        // Branches share config, and so its AbortSignal
+        const entries = Object.entries(this.runnables);
+        const outputs = await concurrency.map(entries, async ([name, runnable]) => {
+            const result = await this._runBranch(runnable, input, config);
+            onSettled?.(name, result);
+            await callbackManager.handleChainStep(name, result, config);
+            return result;
+        });
+
+        const results = {};
+        entries.forEach(([name], i) => {
+            results[name] = outputs[i];
+        });
+        return results;
+    }
+
+    /**
+     * Run one branch with the branch timeout, settling it in 'allSettled' mode
+     *
+     * @private
+     */
+    async _runBranch(runnable, input, config) {
+        const branch = this.branchTimeoutMs ? runnable.withTimeout(this.branchTimeoutMs) : runnable;
+        if (this.mode !== 'allSettled') {
+            return await branch.invoke(input, config);
+        }
+
+        const startTime = Date.now();
+        try {
+            const value = await branch.invoke(input, config);
+            return {value, durationMs: Date.now() - startTime};
+        } catch (error) {
+            // Cancelling or pausing the whole run isn't a branch failure
+            if (config.signal?.aborted || error instanceof InterruptError) {
+                throw error;
+            }
+            return {error, durationMs: Date.now() - startTime};
+        }
+    }
+
+    toManifest() {
+        const steps = {};
+        for (const [name, runnable] of Object.entries(this.runnables)) {
+            steps[name] = runnable.toManifest();
+        }
+
+        const options = {};
+        if (this.mode !== 'all') options.mode = this.mode;
+        if (this.branchTimeoutMs !== null) options.branchTimeoutMs = this.branchTimeoutMs;
+        if (this.maxConcurrency !== null) options.maxConcurrency = this.maxConcurrency;
+
+        return Object.keys(options).length > 0
+            ? {type: 'RunnableParallel', steps, options}
+            : {type: 'RunnableParallel', steps};
+    }
+
+    /**
+     * An object with one property per branch, typed by the branch's output schema
+     *
+     * In 'allSettled' mode each property is the { value, error, durationMs } record.
+     */
+    getOutputSchema() {
+        const properties = {};
+        for (const [name, runnable] of Object.entries(this.runnables)) {
+            const schema = runnable.getOutputSchema() ?? {};
+            properties[name] = this.mode === 'allSettled'
+                ? {
+                    type: 'object',
+                    properties: {value: schema, error: {}, durationMs: {type: 'number'}},
+                    required: ['durationMs']
+                }
+                : schema;
+        }
+        return {type: 'object', properties, required: [...this.runnableNames]};
+    }
+
+    _buildGraph(graph) {
+        // Fan out from a node for the parallel itself; each branch exits on its own
+        const entry = graph.addNode(this.name, this);
+        const exits = [];
+
+        for (const [name, runnable] of Object.entries(this.runnables)) {
+            const sub = runnable._buildGraph(graph);
+            graph.addEdge(entry, sub.entry, name);
+            exits.push(...sub.exits);
+        }
+
+        return {entry, exits};
+    }
+
+    toString() {
+        const entries = Object.entries(this.runnables)
+            .map(([name, runnable]) => `${name}: ${runnable.toString()}`);
+        return `{${entries.join(', ')}}`;
+    }
+
+    /**
+     * Get list of Runnable names
+     */
+    getRunnames() {
+        return this.runnableNames;
+    }
+
+    /**
+     * Check if a named Runnable exists
+     */
+    hasRunnable(name) {
+        return name in this.runnables;
+    }
+
+    /**
+     * Get a specific Runnable by name
+     */
+    getRunnable(name) {
+        return this.runnables[name];
+    }
+}
+
+
+/**
+ * RunnablePassthrough - Returns its input unchanged
+ *
+ * Useful inside a RunnableParallel to keep the original input next to
+ * computed values, and (via assign()) to accumulate state in a pipeline.
+ *
+ * Example:
+ * const rag = new RunnableParallel({
+ *   question: new RunnablePassthrough(),
+ *   context: retriever
+ * }).pipe(prompt).pipe(llm);
+ */
+export class RunnablePassthrough extends Runnable {
+    async _call(input, config) {
+        return input;
+    }
+
+    toManifest() {
+        return {type: 'RunnablePassthrough', kwargs: {}};
+    }
+
+    // Forward chunks as they arrive instead of waiting for the full input
+    async* _transform(inputStream, config) {
+        yield* inputStream;
+    }
+
+    /**
+     * Create a step that merges computed keys into its (object) input
+     *
+     * @param {Object} mapping - Keys to Runnables (or functions) computing them
+     * @returns {RunnableAssign}
+     *
+     * @example
+     * const chain = RunnablePassthrough.assign({ context: q => search(q.question) })
+     *   .assign({ answer: prompt.pipe(llm) });
+     * // { question } => { question, context, answer }
+     */
+    static assign(mapping) {
+        return new RunnableAssign(mapping);
+    }
+}
+
+/**
+ * RunnableAssign - Merges the outputs of a mapping into the input object
+ *
+ * All mapping values run in parallel on the same input; existing keys
+ * are overwritten by computed ones with the same name.
+ */
+export class RunnableAssign extends Runnable {
+    /**
+     * @param {Object|RunnableParallel} mapping - Keys to Runnables computing them
+     */
+    constructor(mapping) {
+        super();
+        this.mapper = mapping instanceof RunnableParallel
+            ? mapping
+            : new RunnableParallel(mapping);
+    }
+
+    toManifest() {
+        return {type: 'RunnableAssign', mapper: this.mapper.toManifest()};
+    }
+
+    _buildGraph(graph) {
+        const entry = graph.addNode(this.name, this);
+        const sub = this.mapper._buildGraph(graph);
+        graph.addEdge(entry, sub.entry);
+        return {entry, exits: sub.exits};
+    }
+
+    async _call(input, config) {
+        if (!isPlainObject(input)) {
+            throw new Error(
+                `${this.name} requires an object input to assign keys to, got ${describe(input)}`
+            );
+        }
+
+        const computed = await this.mapper.invoke(input, config);
+        return {...input, ...computed};
+    }
+}
+
+/**
+ * RunnableLambda - Wraps a plain (async) function as a Runnable
+ *
+ * Saves writing a one-method class for every small transformation.
+ * The function receives (input, config). If it returns a Runnable,
+ * that Runnable is invoked with the same input and its output is used.
+ *
+ * Example:
+ * const toUpper = new RunnableLambda(text => text.toUpperCase());
+ * await toUpper.invoke("hi"); // "HI"
+ */
+export class RunnableLambda extends Runnable {
+    /**
+     * @param {Function} func - (input, config) => output, sync or async
+     * @param {Object} [options]
+     * @param {string} [options.name] - Name shown in callbacks (defaults to the function's name)
+     * @param {Object} [options.inputSchema] - JSON schema the input must match
+     * @param {Object} [options.outputSchema] - JSON schema the output must match
+     */
+    constructor(func, options = {}) {
+        super();
+
+        if (typeof func !== 'function') {
+            throw new Error('RunnableLambda requires a function');
+        }
+
+        this.func = func;
+        this.name = options.name ?? (func.name || 'RunnableLambda');
+        this.inputSchema = options.inputSchema ?? null;
+        this.outputSchema = options.outputSchema ?? null;
+    }
+
+    toManifest() {
+        throw new Error(
+            `${this.name} wraps a function, which can't be saved in a manifest. ` +
+            'Use a Runnable subclass and registerRunnable() instead.'
+        );
+    }
+
+    async _call(input, config) {
+        const output = await this.func(input, config);
+
+        if (output instanceof Runnable) {
+            return await output.invoke(input, config);
+        }
+        return output;
+    }
+}
+
+/**
+ * Turn a function or object of Runnables into a Runnable
+ *
+ * - Runnables (anything with invoke()) are returned as-is
+ * - Functions become RunnableLambda
+ * - Plain objects become RunnableParallel (values coerced recursively)
+ *
+ * @param {Runnable|Function|Object} value - Value to coerce
+ * @returns {Runnable}
+ * @throws {TypeError} If the value can't be used as a Runnable
+ */
+export function coerceToRunnable(value) {
+    if (value && typeof value.invoke === 'function') {
+        return value;
+    }
+    if (typeof value === 'function') {
+        return new RunnableLambda(value);
+    }
+    if (isPlainObject(value)) {
+        return new RunnableParallel(value);
+    }
+
+    throw new TypeError(
+        `Expected a Runnable, a function, or an object of Runnables, got ${describe(value)}`
+    );
+}
+
+/**
+ * RunnableRetry - Re-invokes a Runnable until it succeeds or retries run out
+ *
+ * Created by runnable.withRetry(); backoff is handled by RetryManager.
+ */
+export class RunnableRetry extends Runnable {
+    constructor(bound, options = {}) {
+        super();
+        this.bound = bound;
+        this.options = options;
+    }
+
+    toManifest() {
+        const {shouldRetry, onRetry, ...options} = this.options;
+        if (shouldRetry || onRetry) {
+            throw new Error(
+                `${this.name} has a shouldRetry or onRetry function, which can't be saved in a manifest`
+            );
+        }
+        return {type: 'RunnableRetry', bound: this.bound.toManifest(), options};
+    }
+
+    getInputSchema() {
+        return this.bound.getInputSchema();
+    }
+
+    getOutputSchema() {
+        return this.bound.getOutputSchema();
+    }
+
+    // Retrying doesn't change the shape of the graph
+    _buildGraph(graph) {
+        return this.bound._buildGraph(graph);
+    }
+
+    async _call(input, config) {
+        const shouldRetry = this.options.shouldRetry ?? (() => true);
+
+        const retry = new RetryManager({
+            ...this.options,
+            // Retries are reported through callbacks, not the console
+            onRetry: this.options.onRetry ?? (() => {}),
+            // Never retry once the caller has given up, or a step paused for approval
+            shouldRetry: (error) =>
+                !config.signal?.aborted && !(error instanceof InterruptError) && shouldRetry(error)
+        });
+
+        return await retry.execute((attempt) =>
+            this.bound.invoke(input, config.child({
+                tags: [`retry:attempt:${attempt}`],
+                metadata: {retryAttempt: attempt}
+            }))
+        );
+    }
+}
+
+/**
+ * RunnableTimeout - Aborts a Runnable that runs longer than timeoutMs
+ *
+ * Created by runnable.withTimeout().
+ */
+export class RunnableTimeout extends Runnable {
+    constructor(bound, timeoutMs) {
+        super();
+
+        if (!(timeoutMs > 0)) {
+            throw new Error(`withTimeout() requires a positive number of milliseconds, got ${timeoutMs}`);
+        }
+
+        this.bound = bound;
+        this.timeoutMs = timeoutMs;
+    }
+
+    toManifest() {
+        return {type: 'RunnableTimeout', bound: this.bound.toManifest(), timeoutMs: this.timeoutMs};
+    }
+
+    getInputSchema() {
+        return this.bound.getInputSchema();
+    }
+
+    getOutputSchema() {
+        return this.bound.getOutputSchema();
+    }
+
+    _buildGraph(graph) {
+        return this.bound._buildGraph(graph);
+    }
+
+    async _call(input, config) {
+        const controller = new AbortController();
+        const timeoutError = new TimeoutError(
+            `${this.bound.name} timed out after ${this.timeoutMs}ms`
+        );
+        const timeout = new TimeoutManager({defaultTimeout: this.timeoutMs});
+
+        try {
+            return await timeout.execute(
+                () => this.bound.invoke(input, config.child({signal: controller.signal})),
+                this.timeoutMs,
+                () => controller.abort(timeoutError)
+            );
+        } catch (error) {
+            // Our own timer fired (rather than the caller cancelling)
+            if (controller.signal.aborted && !config.signal?.aborted) {
+                throw timeoutError;
+            }
+            throw error;
+        }
+    }
+}
+
+/**
+ * RunnableWithFallbacks - Tries each Runnable in turn until one succeeds
+ *
+ * Created by runnable.withFallbacks(). Each attempt runs with
+ * metadata.fallbackIndex (0 = the primary), and the one that produced
+ * the answer is reported to callbacks through onChainStep.
+ */
+export class RunnableWithFallbacks extends Runnable {
+    constructor(runnable, fallbacks, options = {}) {
+        super();
+
+        if (!Array.isArray(fallbacks) || fallbacks.length === 0) {
+            throw new Error('withFallbacks() requires a non-empty array of Runnables');
+        }
+
+        this.runnable = runnable;
+        this.fallbacks = fallbacks.map(coerceToRunnable);
+        this.shouldFallback = options.shouldFallback ?? null;
+    }
+
+    /**
+     * The primary Runnable followed by its fallbacks
+     */
+    get runnables() {
+        return [this.runnable, ...this.fallbacks];
+    }
+
+    toManifest() {
+        if (this.shouldFallback) {
+            throw new Error(
+                `${this.name} has a shouldFallback function, which can't be saved in a manifest`
+            );
+        }
+        return {
+            type: 'RunnableWithFallbacks',
+            runnable: this.runnable.toManifest(),
+            fallbacks: this.fallbacks.map(fallback => fallback.toManifest())
+        };
+    }
+
+    getInputSchema() {
+        return this.runnable.getInputSchema();
+    }
+
+    getOutputSchema() {
+        return this.runnable.getOutputSchema();
+    }
+
+    _buildGraph(graph) {
+        const entry = graph.addNode(this.name, this);
+        const exits = [];
+
+        this.runnables.forEach((runnable, index) => {
+            const sub = runnable._buildGraph(graph);
+            graph.addEdge(entry, sub.entry, index === 0 ? 'primary' : `fallback ${index}`);
+            exits.push(...sub.exits);
+        });
+
+        return {entry, exits};
+    }
+
+    async _call(input, config) {
+        let firstError;
+
+        for (const [index, runnable] of this.runnables.entries()) {
+            const attemptConfig = config.child({
+                metadata: {fallbackIndex: index, fallbackName: runnable.name}
+            });
+
+            try {
+                const output = await runnable.invoke(input, attemptConfig);
+
+                // Record which Runnable produced the answer
+                await new CallbackManager(config.callbacks)
+                    .handleChainStep(runnable.name, output, attemptConfig);
+
+                return output;
+            } catch (error) {
+                firstError ??= error;
+
+                // Cancellation, interrupts and unhandled error types are not ours to absorb
+                const notOurs = config.signal?.aborted ||
+                    error instanceof InterruptError ||
+                    (this.shouldFallback && !this.shouldFallback(error));
+                if (notOurs) {
+                    throw error;
+                }
+            }
+        }
+
+        throw firstError;
+    }
+}
+
+/**
+ * RunnableBinding - A Runnable with default config bound to it
+ *
+ * Created by runnable.withConfig() and runnable.bind(). It isn't a run of
+ * its own: the bound Runnable runs directly with the merged config, so
+ * callbacks and the run tree look the same as calling it with that config.
+ */
+export class RunnableBinding extends Runnable {
+    /**
+     * @param {Runnable} bound - Runnable to call
+     * @param {Object} config - Default config and call options
+     */
+    constructor(bound, config = {}) {
+        super();
+        this.bound = coerceToRunnable(bound);
+        this.config = config;
+        this.name = this.bound.name;
+    }
+
+    async invoke(input, config = {}) {
+        assertKnownConfigurable(this, config);
+        const runConfig = this._mergeConfig(config);
+        return await this._select(runConfig).invoke(input, runConfig);
+    }
+
+    async* stream(input, config = {}) {
+        assertKnownConfigurable(this, config);
+        const runConfig = this._mergeConfig(config);
+        yield* this._select(runConfig).stream(input, runConfig);
+    }
+
+    async* transform(inputStream, config = {}) {
+        assertKnownConfigurable(this, config);
+        const runConfig = this._mergeConfig(config);
+        yield* this._select(runConfig).transform(inputStream, runConfig);
+    }
+
+    async batch(inputs, config = {}) {
+        assertKnownConfigurable(this, config);
+        const runConfig = this._mergeConfig(config);
+        return await this._select(runConfig).batch(inputs, runConfig);
+    }
+
+    toManifest() {
+        const {callbacks, signal, budget, ...config} = this.config;
+        if (callbacks?.length || signal || budget) {
+            throw new Error(
+                `${this.name} has bound callbacks, a signal or a budget, which can't be saved in a manifest`
+            );
+        }
+        return {type: 'RunnableBinding', bound: this.bound.toManifest(), config};
+    }
+
+    getInputSchema() {
+        return this.bound.getInputSchema();
+    }
+
+    getOutputSchema() {
+        return this.bound.getOutputSchema();
+    }
+
+    _buildGraph(graph) {
+        return this.bound._buildGraph(graph);
+    }
+
+    toString() {
+        return this.bound.toString();
+    }
+
+    /**
+     * Call-time config layered over the bound defaults
+     *
+     * @private
+     */
+    _mergeConfig(config) {
+        // Values set for the call win; fields it leaves unset
+        // (e.g. recursionLimit) fall back to the bound ones
+        if (config instanceof RunnableConfig) {
+            return config.withDefaults(this.config);
+        }
+        return new RunnableConfig(this.config).merge(config);
+    }
+
+    /**
+     * The Runnable to run with the merged config
+     *
+     * @private
+     */
+    _select(config) {
+        return this.bound;
+    }
+}
+
+/**
+ * RunnableConfigurableFields - Fields of a Runnable set per call through config.configurable
+ *
+ * Created by runnable.configurableFields(). A value found under a field's
+ * id in config.configurable is set on a configured copy of the Runnable,
+ * so code reading `this.<field>` sees it. It is also passed as a call
+ * option (winning over a bound or call-time one), the same way bind()
+ * passes options, so LlamaCppLLM picks it up as `config.temperature` too.
+ */
+export class RunnableConfigurableFields extends RunnableBinding {
+    /**
+     * @param {Runnable} bound - Runnable whose fields become configurable
+     * @param {Object} fields - Field name to { id, name?, description? }
+     * @throws {Error} If a field doesn't exist on the Runnable, or an id is missing or reused
+     */
+    constructor(bound, fields) {
+        super(bound);
+
+        // Fields belong to the Runnable underneath any other bindings
+        let target = this.bound;
+        while (target instanceof RunnableBinding) target = target.bound;
+
+        const ids = new Set();
+        for (const [field, spec] of Object.entries(fields ?? {})) {
+            if (!(field in target)) {
+                throw new Error(
+                    `${target.name} has no field '${field}' to make configurable`
+                );
+            }
+            if (typeof spec?.id !== 'string' || spec.id === '') {
+                throw new Error(`Configurable field '${field}' needs a string id`);
+            }
+            if (ids.has(spec.id)) {
+                throw new Error(`Configurable id '${spec.id}' is used by more than one field`);
+            }
+            ids.add(spec.id);
+        }
+
+        this.fields = fields;
+    }
+
+    toManifest() {
+        return {
+            type: 'RunnableConfigurableFields',
+            bound: this.bound.toManifest(),
+            fields: this.fields
+        };
+    }
+
+    _buildGraph(graph) {
+        for (const {id} of Object.values(this.fields)) {
+            graph.configurableIds.add(id);
+        }
+        return super._buildGraph(graph);
+    }
+
+    /**
+     * @private
+     */
+    _mergeConfig(config) {
+        const runConfig = super._mergeConfig(config);
+        for (const [field, value] of Object.entries(this._fieldValues(runConfig))) {
+            runConfig[field] = value;
+        }
+        return runConfig;
+    }
+
+    /**
+     * A copy of the bound Runnable with this call's field values set
+     *
+     * @private
+     */
+    _select(config) {
+        const values = this._fieldValues(config);
+        if (Object.keys(values).length === 0) return this.bound;
+        return withFields(this.bound, values);
+    }
+
+    /**
+     * Field name to value, for the fields config.configurable sets
+     *
+     * @private
+     */
+    _fieldValues(config) {
+        const values = {};
+        for (const [field, {id}] of Object.entries(this.fields)) {
+            if (config.configurable[id] !== undefined) {
+                values[field] = config.configurable[id];
+            }
+        }
+        return values;
+    }
+}
+
+/**
+ * RunnableConfigurableAlternatives - Picks one of several Runnables per call
+ *
+ * Created by runnable.configurableAlternatives(). The key under `id` in
+ * config.configurable chooses the alternative; without one, the original
+ * Runnable runs (it is the alternative named defaultKey).
+ */
+export class RunnableConfigurableAlternatives extends RunnableBinding {
+    /**
+     * @param {Runnable} bound - The default alternative
+     * @param {Object} options
+     * @param {string} options.id - Key in config.configurable that picks the alternative
+     * @param {Object} options.alternatives - Key to Runnable (or function)
+     * @param {string} [options.defaultKey='default'] - Key that picks `bound`
+     * @throws {Error} If the id is missing or an alternative reuses defaultKey
+     */
+    constructor(bound, options = {}) {
+        super(bound);
+
+        const {id, alternatives = {}, defaultKey = 'default'} = options;
+        if (typeof id !== 'string' || id === '') {
+            throw new Error('configurableAlternatives() needs a string id');
+        }
+        if (defaultKey in alternatives) {
+            throw new Error(
+                `Alternative '${defaultKey}' clashes with the default key; pass a different defaultKey`
+            );
+        }
+
+        this.id = id;
+        this.defaultKey = defaultKey;
+        this.alternatives = Object.fromEntries(
+            Object.entries(alternatives).map(([key, runnable]) => [key, coerceToRunnable(runnable)])
+        );
+    }
+
+    toManifest() {
+        const alternatives = {};
+        for (const [key, runnable] of Object.entries(this.alternatives)) {
+            alternatives[key] = runnable.toManifest();
+        }
+        return {
+            type: 'RunnableConfigurableAlternatives',
+            bound: this.bound.toManifest(),
+            id: this.id,
+            defaultKey: this.defaultKey,
+            alternatives
+        };
+    }
+
+    _buildGraph(graph) {
+        graph.configurableIds.add(this.id);
+        const entry = graph.addNode(`${this.id}?`, this);
+        const exits = [];
+
+        const options = [[this.defaultKey, this.bound], ...Object.entries(this.alternatives)];
+        for (const [key, runnable] of options) {
+            const sub = runnable._buildGraph(graph);
+            graph.addEdge(entry, sub.entry, key);
+            exits.push(...sub.exits);
+        }
+
+        return {entry, exits};
+    }
+
+    toString() {
+        return `${this.bound}.configurableAlternatives(${this.id})`;
+    }
+
+    /**
+     * @throws {Error} If config.configurable names an unknown alternative
+     * @private
+     */
+    _select(config) {
+        const key = config.configurable[this.id] ?? this.defaultKey;
+        if (key === this.defaultKey) return this.bound;
+
+        if (!Object.hasOwn(this.alternatives, key)) {
+            const known = [this.defaultKey, ...Object.keys(this.alternatives)];
+            throw new Error(
+                `Unknown alternative '${key}' for configurable '${this.id}'. ` +
+                `Expected one of: ${known.join(', ')}`
+            );
+        }
+        return this.alternatives[key];
+    }
+}
+
+/**
+ * Ids declared with configurableFields()/configurableAlternatives() anywhere
+ * in a Runnable, cached per Runnable (composed Runnables don't change)
+ */
+const declaredIdsCache = new WeakMap();
+
+function declaredConfigurableIds(runnable) {
+    let ids = declaredIdsCache.get(runnable);
+    if (!ids) {
+        ids = runnable.getGraph().configurableIds;
+        declaredIdsCache.set(runnable, ids);
+    }
+    return ids;
+}
+
+/**
+ * Throw if config.configurable has a key that looks like a misspelt id
+ * declared in the pipeline being invoked (it would otherwise be ignored)
+ *
+ * Only checks the config a caller passes in from outside any run. Other
+ * keys (thread_id, app values like user_id, ...) are left alone.
+ *
+ * @private
+ */
+function assertKnownConfigurable(runnable, config) {
+    if (!config.configurable || config instanceof RunnableConfig || getCurrentConfig()) return;
+
+    const ids = declaredConfigurableIds(runnable);
+    if (ids.size === 0) return;
+
+    for (const key of Object.keys(config.configurable)) {
+        if (ids.has(key)) continue;
+        const intended = [...ids].find(id => isLikelyTypo(key, id));
+        if (intended) {
+            throw new Error(
+                `Unknown configurable '${key}'. Did you mean '${intended}'? ` +
+                `Declared: ${[...ids].join(', ')}`
+            );
+        }
+    }
+}
+
+/**
+ * Whether `key` is probably `id` misspelt: the same apart from case and
+ * separators, or a character or two off (one for short ids)
+ *
+ * @private
+ */
+function isLikelyTypo(key, id) {
+    const normalize = (text) => text.toLowerCase().replace(/[-_\s]/g, '');
+    if (normalize(key) === normalize(id)) return true;
+    return editDistance(key, id) <= (id.length > 4 ? 2 : 1);
+}
+
+/**
+ * Levenshtein distance between two strings
+ *
+ * @private
+ */
+function editDistance(a, b) {
+    let previous = Array.from({length: b.length + 1}, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * A Runnable that reads the given field values in place of its own
+ *
+ * Bindings are copied down to the Runnable they wrap. Only reads see the
+ * values: state the Runnable sets on itself (e.g. a loaded model) still
+ * lands on the original, so it's shared across calls.
+ *
+ * @private
+ */
+function withFields(runnable, values) {
+    if (runnable instanceof RunnableBinding) {
+        return Object.assign(Object.create(runnable), {bound: withFields(runnable.bound, values)});
+    }
+    return new Proxy(runnable, {
+        get: (target, key, receiver) =>
+            Object.hasOwn(values, key) ? values[key] : Reflect.get(target, key, receiver)
+    });
+}
+
+/**
+ * Throw if a run must not start: too deeply nested, cancelled, or out of budget
+ *
+ * @private
+ */
+function assertCanRun(runnable, runConfig) {
+    // Stop runaway self-invoking loops
+    const recursionLimit = runConfig.recursionLimit ?? DEFAULT_RECURSION_LIMIT;
+    if (runConfig.depth > recursionLimit) {
+        throw new RecursionLimitError(recursionLimit, runConfig.runPath);
+    }
+
+    // Don't start work for a run that was already cancelled
+    throwIfAborted(runConfig.signal, runnable.name);
+
+    // Don't start work once the run's budget is spent
+    runConfig.budget?.check();
+}
+
+/**
+ * Throw if a value doesn't match the runnable's declared input or output schema
+ *
+ * @private
+ */
+function assertMatchesSchema(runnable, direction, value, runConfig) {
+    const schema = direction === 'input' ? runnable.inputSchema : runnable.outputSchema;
+    if (!schema) return;
+
+    const validator = runConfig.strictSchemas ? strictSchemaValidator : schemaValidator;
+    const {valid, errors} = validator.validate(value, schema);
+    if (!valid) {
+        throw new SchemaValidationError(
+            `${runnable.name} ${direction} doesn't match its schema: ${errors.join('; ')}`,
+            {errors, runName: runnable.name}
+        );
+    }
+}
+
+/**
+ * Throw if a step's declared output can't be the next step's declared input
+ *
+ * @private
+ */
+function assertStepsFit(previous, next, index) {
+    const outputSchema = previous.getOutputSchema();
+    const inputSchema = next.getInputSchema();
+    if (!outputSchema || !inputSchema) return;
+
+    const {compatible, errors} = schemaValidator.checkCompatibility(outputSchema, inputSchema);
+    if (!compatible) {
+        throw new SchemaValidationError(
+            `Step ${index} (${next.name}) can't take the output of step ${index - 1} ` +
+            `(${previous.name}): ${errors.join('; ')}`,
+            {errors, runName: next.name}
+        );
+    }
+}
+
+/**
+ * Whatever a component throws while being aborted, report it as a cancellation
+ *
+ * @private
+ */
+function toRunError(error, runConfig, runName) {
+    if (runConfig.signal?.aborted && !(error instanceof CancellationError)) {
+        return CancellationError.fromSignal(runConfig.signal, runName);
+    }
+    return error;
+}
+
+/**
+ * Combine two streamed chunks into one value
+ *
+ * Strings, arrays and messages concatenate (via their concat() method),
+ * plain objects merge key by key, anything else is replaced by the newer chunk.
+ *
+ * @private
+ */
+function concatChunks(current, chunk) {
+    if (current === undefined) return chunk;
+    if (typeof current?.concat === 'function' && typeof chunk?.concat === 'function') {
+        return current.concat(chunk);
+    }
+    if (isPlainObject(current) && isPlainObject(chunk)) {
+        return {...current, ...chunk};
+    }
+    return chunk;
+}
+
+/**
+ * Pass chunks through, then call onDone with the combined output
+ *
+ * @private
+ */
+async function* reportWhenDone(stream, onDone) {
+    let output;
+    for await (const chunk of stream) {
+        output = concatChunks(output, chunk);
+        yield chunk;
+    }
+    await onDone(output);
+}
+
+/**
+ * Settle with the promise, or reject with a CancellationError once the signal aborts
+ *
+ * @private
+ */
+function raceWithSignal(promise, signal, runName) {
+    if (!signal) return promise;
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(CancellationError.fromSignal(signal, runName));
+
+        // Always handle the promise, even when the cancellation wins
+        signal.addEventListener('abort', onAbort, {once: true});
+        promise
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', onAbort));
+
+        // Aborted while the work was starting
+        if (signal.aborted) onAbort();
+    });
+}
+
+/**
+ * True for `{...}` literals (not arrays, class instances, or null)
+ *
+ * @private
+ */
+function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Short description of a value's type for error messages
+ *
+ * @private
+ */
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    if (typeof value === 'object') return value.constructor?.name ?? 'object';
+    return typeof value;
+}
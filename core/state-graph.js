@@ -0,0 +1,512 @@
+/**
+ * StateGraph - Cyclic, stateful workflows built from Runnables
+ *
+ * A RunnableSequence runs its steps once, in a line. Agent loops (think,
+ * call a tool, look at the result, think again) need to go back to an
+ * earlier step and carry state between steps; a StateGraph does that.
+ *
+ * - State is an object with declared keys (channels). Each key has a
+ *   reducer that combines the current value with a node's update
+ *   (default: the update replaces the value) and an optional JSON schema.
+ * - Nodes are Runnables (or functions). A node receives the whole state
+ *   and returns an object with the keys it wants to update.
+ * - Edges say which node runs next: static edges always go to the same
+ *   node, conditional edges call a router with the state to decide.
+ * - START and END mark where the graph is entered and left.
+ *
+ * compile() returns a Runnable, so a graph can be invoked, piped, batched
+ * and traced like any other step; every node run shows up in callbacks.
+ * config.recursionLimit caps the number of node runs, so a loop that
+ * never reaches END fails instead of running forever.
+ *
+ * Example:
+ * const graph = new StateGraph({
+ *   messages: { reducer: (current, update) => current.concat(update), default: () => [] },
+ *   steps: { reducer: (current, update) => current + update, default: () => 0 }
+ * })
+ *   .addNode('agent', callModel)
+ *   .addNode('tools', runTools)
+ *   .addEdge(START, 'agent')
+ *   .addConditionalEdges('agent', state => state.pendingTool ? 'tools' : END)
+ *   .addEdge('tools', 'agent');
+ *
+ * const app = graph.compile();
+ * const finalState = await app.invoke({ messages: [new HumanMessage('What is 6 * 7?')] });
+ *
+ * @module core/state-graph
+ */
+
+import { Runnable, RunnableLambda, coerceToRunnable } from './runnable.js';
+import {
+  InterruptError,
+  RecursionLimitError,
+  SchemaValidationError,
+  throwIfAborted
+} from './errors.js';
+import { DEFAULT_RECURSION_LIMIT } from './context.js';
+import { CheckpointThread } from './checkpoint.js';
+import { resumeRun } from './interrupt.js';
+import { CallbackManager, SchemaValidator } from '../utils/index.js';
+
+/**
+ * Name of the virtual node the graph starts from
+ */
+export const START = '__start__';
+
+/**
+ * Name of the virtual node that ends the graph
+ */
+export const END = '__end__';
+
+/**
+ * StateGraph - Builder for a graph of nodes sharing one state object
+ */
+export class StateGraph {
+  /**
+   * @param {Object} channels - State key to { reducer?, default?, schema? }
+   *   - reducer: (current, update) => next value (default: update replaces current)
+   *   - default: initial value, or a function returning it (default: undefined)
+   *   - schema: JSON schema the value must match after every update
+   */
+  constructor(channels = {}) {
+    if (typeof channels !== 'object' || channels === null || Array.isArray(channels)) {
+      throw new Error('StateGraph requires an object of state channels');
+    }
+
+    this.channels = {};
+    for (const [key, spec = {}] of Object.entries(channels)) {
+      if (spec.reducer !== undefined && typeof spec.reducer !== 'function') {
+        throw new Error(`Reducer for state key '${key}' must be a function`);
+      }
+      this.channels[key] = spec;
+    }
+
+    this.nodes = new Map();            // name -> Runnable
+    this.edges = new Map();            // source -> target
+    this.conditionalEdges = new Map(); // source -> { router, pathMap }
+  }
+
+  /**
+   * Add a node
+   *
+   * @param {string} name - Unique node name (used in edges)
+   * @param {Runnable|Function} runnable - (state, config) => partial state update
+   * @returns {StateGraph} this, for chaining
+   */
+  addNode(name, runnable) {
+    if (name === START || name === END) {
+      throw new Error(`'${name}' is reserved and can't be used as a node name`);
+    }
+    if (this.nodes.has(name)) {
+      throw new Error(`Node '${name}' already exists`);
+    }
+
+    // Functions are named after the node so traces read well
+    const node = typeof runnable === 'function'
+      ? new RunnableLambda(runnable, { name })
+      : coerceToRunnable(runnable);
+
+    this.nodes.set(name, node);
+    return this;
+  }
+
+  /**
+   * Always go from one node to another
+   *
+   * @param {string} source - Node name, or START
+   * @param {string} target - Node name, or END
+   * @returns {StateGraph} this, for chaining
+   */
+  addEdge(source, target) {
+    if (source === END) {
+      throw new Error('END has no outgoing edges');
+    }
+    if (target === START) {
+      throw new Error('START has no incoming edges');
+    }
+    this._assertNoOutgoingEdge(source);
+
+    this.edges.set(source, target);
+    return this;
+  }
+
+  /**
+   * Choose the next node from the state
+   *
+   * @param {string} source - Node name, or START
+   * @param {Function} router - (state, config) => node name or END (sync or async)
+   * @param {Object|Array<string>} [pathMap] - Maps router results to node names,
+   *   or lists the possible targets (used for validation and getGraph())
+   * @returns {StateGraph} this, for chaining
+   */
+  addConditionalEdges(source, router, pathMap = null) {
+    if (typeof router !== 'function') {
+      throw new Error(`Router for conditional edges from '${source}' must be a function`);
+    }
+    this._assertNoOutgoingEdge(source);
+
+    const map = Array.isArray(pathMap)
+      ? Object.fromEntries(pathMap.map(target => [target, target]))
+      : pathMap;
+
+    this.conditionalEdges.set(source, { router, pathMap: map });
+    return this;
+  }
+
+  /**
+   * Shorthand for addEdge(START, name)
+   */
+  setEntryPoint(name) {
+    return this.addEdge(START, name);
+  }
+
+  /**
+   * Shorthand for addEdge(name, END)
+   */
+  setFinishPoint(name) {
+    return this.addEdge(name, END);
+  }
+
+  /**
+   * Check the graph and turn it into a Runnable
+   *
+   * @param {Object} [options]
+   * @param {string} [options.name='StateGraph'] - Name shown in callbacks; checkpointed
+   *   graphs sharing a thread_id need different names
+   * @param {BaseCheckpointer} [options.checkpointer] - Saves the state after every node,
+   *   per config.configurable.thread_id, so an unfinished run can be resumed
+   * @returns {CompiledStateGraph}
+   * @throws {Error} If an edge points to an unknown node, or a node has no way out
+   */
+  compile(options = {}) {
+    if (!this.edges.has(START) && !this.conditionalEdges.has(START)) {
+      throw new Error('The graph has no entry point; add an edge from START');
+    }
+
+    const known = (name) => name === END || this.nodes.has(name);
+
+    for (const [source, target] of this.edges) {
+      if (source !== START && !this.nodes.has(source)) {
+        throw new Error(`Edge starts at unknown node '${source}'`);
+      }
+      if (!known(target)) {
+        throw new Error(`Edge from '${source}' points to unknown node '${target}'`);
+      }
+    }
+
+    for (const [source, { pathMap }] of this.conditionalEdges) {
+      if (source !== START && !this.nodes.has(source)) {
+        throw new Error(`Conditional edges start at unknown node '${source}'`);
+      }
+      for (const target of Object.values(pathMap ?? {})) {
+        if (!known(target)) {
+          throw new Error(`Conditional edge from '${source}' points to unknown node '${target}'`);
+        }
+      }
+    }
+
+    for (const name of this.nodes.keys()) {
+      if (!this.edges.has(name) && !this.conditionalEdges.has(name)) {
+        throw new Error(`Node '${name}' has no outgoing edge; add one (to END if it finishes the graph)`);
+      }
+    }
+
+    return new CompiledStateGraph(this, options);
+  }
+
+  /**
+   * @private
+   */
+  _assertNoOutgoingEdge(source) {
+    if (this.edges.has(source) || this.conditionalEdges.has(source)) {
+      throw new Error(
+        `'${source}' already has an outgoing edge; use addConditionalEdges() to choose between targets`
+      );
+    }
+  }
+}
+
+/**
+ * CompiledStateGraph - A StateGraph as a Runnable
+ *
+ * Input is a partial state (applied through the reducers on top of the
+ * defaults); output is the final state when END is reached.
+ *
+ * Each node runs with metadata.graphNode and metadata.graphStep, and is
+ * reported through onChainStep with its update once it finishes.
+ *
+ * With a checkpointer, the state and the next node are saved after every
+ * node; invoking again on the same thread_id resumes an unfinished run.
+ * A node that calls interrupt() pauses the graph: invoke() returns a
+ * PendingApproval and resume() re-runs that node (edits replace state keys).
+ */
+export class CompiledStateGraph extends Runnable {
+  /**
+   * @param {StateGraph} builder - Validated graph (use builder.compile())
+   * @param {Object} [options] - See StateGraph.compile()
+   */
+  constructor(builder, options = {}) {
+    super();
+    this.name = options.name ?? 'StateGraph';
+    this.checkpointer = options.checkpointer ?? null;
+
+    // Snapshot, so later changes to the builder don't affect this graph
+    this.channels = { ...builder.channels };
+    this.nodes = new Map(builder.nodes);
+    this.edges = new Map(builder.edges);
+    this.conditionalEdges = new Map(builder.conditionalEdges);
+
+    // Checked on every state update rather than as inputSchema/outputSchema:
+    // a resume is invoked without input and a pause returns a PendingApproval
+    this.stateSchema = buildStateSchema(this.channels);
+    this.validator = new SchemaValidator({ strictMode: true });
+  }
+
+  getInputSchema() {
+    return this.stateSchema;
+  }
+
+  getOutputSchema() {
+    return this.stateSchema;
+  }
+
+  /**
+   * Run from START until END is reached
+   *
+   * @param {Object} input - Initial values for state keys
+   * @param {RunnableConfig} config - Run configuration
+   * @returns {Promise<Object>} Final state
+   * @throws {RecursionLimitError} If more than config.recursionLimit nodes run
+   */
+  async _call(input, config) {
+    const thread = CheckpointThread.fromConfig(this.checkpointer, config, [...this.nodes.keys()]);
+
+    // Pick up where an unfinished run on this thread stopped
+    const resumed = await thread?.resumePoint();
+    const decision = await thread?.takeDecision(resumed);
+
+    if (resumed?.interrupt) {
+      // Still waiting for a human
+      if (decision === undefined) return thread.pendingApproval(resumed);
+
+      const state = this._applyUpdate(resumed.value, decision.edits, 'edits', { replace: true });
+      return await this._runFrom(resumed.next, state, config, resumed.step, thread, decision);
+    }
+    if (resumed) {
+      return await this._runFrom(resumed.next, resumed.value, config, resumed.step, thread);
+    }
+
+    const state = this._applyUpdate(this._initialState(), input ?? {}, 'input');
+    const next = await this._nextNode(START, state, config);
+    await thread?.save({ step: 0, next, value: state, done: next === END });
+
+    return await this._runFrom(next, state, config, 0, thread);
+  }
+
+  /**
+   * Run nodes from `nodeName` until END
+   *
+   * @private
+   */
+  async _runFrom(nodeName, state, config, step, thread = null, decision = undefined) {
+    const callbackManager = new CallbackManager(config.callbacks);
+    const recursionLimit = config.recursionLimit ?? DEFAULT_RECURSION_LIMIT;
+    const visited = [];
+
+    while (nodeName !== END) {
+      throwIfAborted(config.signal, this.name);
+
+      // Guard against loops that never reach END
+      if (step >= recursionLimit) {
+        throw new RecursionLimitError(recursionLimit, [...config.runPath, ...visited, nodeName]);
+      }
+
+      // Only the node being resumed sees the decision
+      const stepConfig = thread ? thread.configForSteps(config, decision) : config;
+      decision = undefined;
+
+      const nodeConfig = stepConfig.child({
+        metadata: { graphNode: nodeName, graphStep: step }
+      });
+
+      let update;
+      try {
+        update = await this.nodes.get(nodeName).invoke({ ...state }, nodeConfig);
+      } catch (error) {
+        if (error instanceof InterruptError && thread?.handlesInterrupts) {
+          return await thread.interrupted({ step, next: nodeName, value: state }, nodeName, error.value);
+        }
+        throw error;
+      }
+      state = this._applyUpdate(state, update, nodeName);
+
+      await callbackManager.handleChainStep(nodeName, update, nodeConfig);
+
+      visited.push(nodeName);
+      step++;
+      nodeName = await this._nextNode(nodeName, state, config);
+
+      await thread?.save({ step, next: nodeName, value: state, done: nodeName === END });
+    }
+
+    return state;
+  }
+
+  /**
+   * Continue a run that interrupt() paused
+   *
+   * @param {string} threadId - PendingApproval.threadId
+   * @param {Object|boolean} decision - { approved, edits?, reason? } (or just approved)
+   *   - approved: re-run the paused node, with edits replacing state keys
+   *   - otherwise: finish the thread and throw a CancellationError
+   * @param {Object} [config] - Optional configuration
+   * @returns {Promise<Object>} Final state, or another PendingApproval
+   */
+  async resume(threadId, decision, config = {}) {
+    return await resumeRun(this, threadId, decision, config);
+  }
+
+  /**
+   * Follow the edge out of a node
+   *
+   * @private
+   */
+  async _nextNode(source, state, config) {
+    if (this.edges.has(source)) {
+      return this.edges.get(source);
+    }
+
+    const { router, pathMap } = this.conditionalEdges.get(source);
+    const result = await router({ ...state }, config);
+    const target = pathMap ? pathMap[result] : result;
+
+    if (target !== END && !this.nodes.has(target)) {
+      throw new Error(
+        `Conditional edge from '${source}' returned '${result}', which is not a node or END`
+      );
+    }
+    return target;
+  }
+
+  /**
+   * State with every channel's default value
+   *
+   * @private
+   */
+  _initialState() {
+    const state = {};
+    for (const [key, { default: initial }] of Object.entries(this.channels)) {
+      state[key] = typeof initial === 'function' ? initial() : initial;
+    }
+    return state;
+  }
+
+  /**
+   * Combine a node's update with the state through the channel reducers
+   *
+   * With options.replace, values replace the current ones instead
+   * (used for a reviewer's edits).
+   *
+   * @private
+   */
+  _applyUpdate(state, update, source, options = {}) {
+    if (update === undefined || update === null) return state;
+
+    if (typeof update !== 'object' || Array.isArray(update)) {
+      throw new Error(
+        `Update from '${source}' must be an object of state keys, got ${Array.isArray(update) ? 'an array' : typeof update}`
+      );
+    }
+
+    const next = { ...state };
+    for (const [key, value] of Object.entries(update)) {
+      const channel = this.channels[key];
+      if (!channel) {
+        throw new Error(
+          `Update from '${source}' sets unknown state key '${key}'. ` +
+          `Known keys: ${Object.keys(this.channels).join(', ')}`
+        );
+      }
+      next[key] = channel.reducer && !options.replace ? channel.reducer(next[key], value) : value;
+    }
+
+    if (this.stateSchema) {
+      const { valid, errors } = this.validator.validate(next, this.stateSchema);
+      if (!valid) {
+        throw new SchemaValidationError(
+          `State after '${source}' doesn't match its schema: ${errors.join('; ')}`,
+          { errors, runName: this.name }
+        );
+      }
+    }
+
+    return next;
+  }
+
+  toManifest() {
+    throw new Error(
+      `${this.name} has routers and channel reducers, which are functions and can't be saved ` +
+      'in a manifest. Build the graph in code, or wrap it in a Runnable subclass and use registerRunnable().'
+    );
+  }
+
+  _buildGraph(graph) {
+    const entry = graph.addNode(this.name, this);
+    const exits = [];
+
+    const subgraphs = new Map();
+    for (const [name, runnable] of this.nodes) {
+      subgraphs.set(name, runnable._buildGraph(graph));
+    }
+
+    const connect = (source, target, label) => {
+      const sources = source === START ? [entry] : subgraphs.get(source).exits;
+      if (target === END) {
+        if (source === START) exits.push(entry);
+        else exits.push(...sources);
+        return;
+      }
+      for (const from of sources) {
+        graph.addEdge(from, subgraphs.get(target).entry, label);
+      }
+    };
+
+    for (const [source, target] of this.edges) {
+      connect(source, target, null);
+    }
+    for (const [source, { pathMap }] of this.conditionalEdges) {
+      // Without a pathMap any node could be next
+      const targets = pathMap
+        ? Object.entries(pathMap)
+        : [...this.nodes.keys(), END].map(target => [target, target]);
+      for (const [label, target] of targets) {
+        connect(source, target, pathMap ? label : 'conditional');
+      }
+    }
+
+    return { entry, exits: [...new Set(exits)] };
+  }
+
+  toString() {
+    return `${this.name}(${[...this.nodes.keys()].join(', ')})`;
+  }
+}
+
+/**
+ * Object schema of the state, if any channel declares a schema (null if none do)
+ *
+ * @private
+ */
+function buildStateSchema(channels) {
+  const entries = Object.entries(channels);
+  if (!entries.some(([, { schema }]) => schema)) return null;
+
+  // Channels without a schema take any value, but are still state keys
+  const properties = {};
+  for (const [key, { schema }] of entries) {
+    properties[key] = schema ?? {};
+  }
+  return { type: 'object', properties };
+}
+
+export default StateGraph;
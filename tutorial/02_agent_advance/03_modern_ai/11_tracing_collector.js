@@ -0,0 +1,138 @@
+// Tracing: export a pipeline run as OpenTelemetry spans to a local stand-in collector
+// The collector is a plain HTTP server that prints what it receives, and the
+// LLM is mocked, so this runs without a model or a real OTLP backend.
+// It also checks the export, and exits non-zero if the spans look wrong.
+
+import http from "node:http";
+import { Runnable, RunnableLambda, AIMessage } from "../../../core/index.js";
+import { TracingCallback, OTLPHttpExporter } from "../../../utils/tracing.js";
+
+// Mock LLM: reports a model path, sampling params and token usage like LlamaCppLLM
+class MockLLM extends Runnable {
+  constructor() {
+    super();
+    this.modelPath = "./models/mock.gguf";
+    this.temperature = 0;
+    this.topP = 0.9;
+    this.maxTokens = 64;
+  }
+
+  async _call(input) {
+    return new AIMessage(`Echo: ${input}`, {
+      usage: { promptTokens: 12, completionTokens: 4 }
+    });
+  }
+}
+
+// Stand-in collector: accepts OTLP/JSON on /v1/traces and keeps the spans
+function startCollector() {
+  const spans = [];
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => (body += chunk));
+    req.on("end", () => {
+      if (req.method !== "POST" || req.url !== "/v1/traces") {
+        res.writeHead(404).end();
+        return;
+      }
+
+      const request = JSON.parse(body);
+      for (const resourceSpans of request.resourceSpans) {
+        for (const scopeSpans of resourceSpans.scopeSpans) {
+          spans.push(...scopeSpans.spans);
+        }
+      }
+      res.writeHead(200, { "Content-Type": "application/json" }).end("{}");
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, "127.0.0.1", () => resolve({ server, spans, port: server.address().port }));
+  });
+}
+
+function printSpans(spans) {
+  const children = (parentSpanId) => spans.filter(span => span.parentSpanId === parentSpanId);
+  const print = (span, indent) => {
+    const attributes = span.attributes
+      .filter(({ key }) => key.startsWith("gen_ai."))
+      .map(({ key, value }) => `${key}=${JSON.stringify(value)}`);
+    console.log(`${indent}${[span.name, ...attributes].join(" ")}`);
+    children(span.spanId).forEach(child => print(child, indent + "  "));
+  };
+  children("").forEach(root => print(root, ""));
+}
+
+function check(spans) {
+  const problems = [];
+  const attribute = (span, key) => span.attributes.find(a => a.key === key)?.value;
+
+  const [root, ...nested] = spans.filter(span => span.parentSpanId === "");
+  if (!root || nested.length > 0) problems.push("expected exactly one root span");
+  // RunnableSequence > prepare, MockLLM, RunnableWithFallbacks > shout, quiet
+  if (spans.length !== 6) problems.push(`expected 6 spans, got ${spans.length}`);
+  if (new Set(spans.map(span => span.traceId)).size !== 1) problems.push("spans are in different traces");
+
+  const llm = spans.find(span => span.name === "MockLLM");
+  if (!llm) {
+    problems.push("no span for the LLM");
+  } else {
+    const temperature = attribute(llm, "gen_ai.request.temperature");
+    if (temperature?.doubleValue !== 0) {
+      problems.push(`temperature should be doubleValue 0, got ${JSON.stringify(temperature)}`);
+    }
+    if (attribute(llm, "gen_ai.request.max_tokens")?.intValue !== "64") {
+      problems.push("max_tokens should be intValue \"64\"");
+    }
+    if (attribute(llm, "gen_ai.usage.output_tokens")?.intValue !== "4") {
+      problems.push("output token count is missing");
+    }
+  }
+
+  const failed = spans.find(span => span.name === "shout");
+  if (failed?.status.code !== 2 || !failed.events.some(event => event.name === "exception")) {
+    problems.push("the failing step should have an error status and an exception event");
+  }
+
+  return problems;
+}
+
+async function main() {
+  const { server, spans, port } = await startCollector();
+
+  const tracing = new TracingCallback({
+    serviceName: "tracing-tutorial",
+    exporter: new OTLPHttpExporter({ url: `http://127.0.0.1:${port}/v1/traces` })
+  });
+
+  const prepare = new RunnableLambda(text => text.trim(), { name: "prepare" });
+  const shout = new RunnableLambda(() => {
+    throw new Error("shouting is not allowed");
+  }, { name: "shout" });
+  const quiet = new RunnableLambda(message => message.content, { name: "quiet" });
+  const pipeline = prepare
+    .pipe(new MockLLM())
+    .pipe(shout.withFallbacks([quiet]));
+
+  try {
+    const output = await pipeline.invoke("  hello tracing  ", { callbacks: [tracing] });
+    console.log("Pipeline output:", output);
+  } finally {
+    server.close();
+  }
+
+  console.log(`\nCollector received ${spans.length} spans:`);
+  printSpans(spans);
+
+  const problems = check(spans);
+  if (problems.length > 0) {
+    throw new Error(`Unexpected export:\n- ${problems.join("\n- ")}`);
+  }
+  console.log("\nExport looks right.");
+}
+
+main().catch(err => {
+  console.error("Failed:", err.message);
+  process.exit(1);
+});
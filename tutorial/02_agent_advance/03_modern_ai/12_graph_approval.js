@@ -0,0 +1,62 @@
+// Human-in-the-loop: pause a StateGraph for approval and resume it
+// The graph declares a schema for its state, so every update is validated,
+// including the reviewer's edits applied on resume.
+// It also checks the outcome, and exits non-zero if the run went wrong.
+
+import {
+  StateGraph,
+  START,
+  END,
+  MemoryCheckpointer,
+  PendingApproval,
+  interrupt
+} from "../../../core/index.js";
+
+function buildGraph(checkpointer) {
+  const graph = new StateGraph({
+    request: { schema: { type: "string" } },
+    draft: { schema: { type: "string" }, default: "" },
+    sent: { schema: { type: "boolean" }, default: false }
+  });
+
+  graph.addNode("write", state => ({ draft: `Re: ${state.request}` }));
+  graph.addNode("send", state => {
+    // Pauses here on the first run; returns the reviewer's decision on resume
+    interrupt({ action: "send_email", draft: state.draft });
+    console.log(`Sending: ${state.draft}`);
+    return { sent: true };
+  });
+
+  graph.addEdge(START, "write");
+  graph.addEdge("write", "send");
+  graph.addEdge("send", END);
+
+  return graph.compile({ checkpointer });
+}
+
+async function main() {
+  const app = buildGraph(new MemoryCheckpointer());
+  const config = { configurable: { thread_id: "approval-1" } };
+
+  const pending = await app.invoke({ request: "invoice 42" }, config);
+  if (!(pending instanceof PendingApproval)) {
+    throw new Error(`Expected a PendingApproval, got ${JSON.stringify(pending)}`);
+  }
+  console.log(`Paused at '${pending.step}' for review:`, pending.value);
+
+  const state = await app.resume("approval-1", {
+    approved: true,
+    edits: { draft: "Re: invoice 42 (paid)" }
+  });
+  console.log("Final state:", state);
+
+  if (state.sent !== true || state.draft !== "Re: invoice 42 (paid)") {
+    throw new Error("The resumed run should send the edited draft");
+  }
+  console.log("\nResume looks right.");
+}
+
+main().catch(err => {
+  console.error("Failed:", err.message);
+  process.exit(1);
+});
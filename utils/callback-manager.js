@@ -1,3 +1,4 @@
+import { runMatchesFilter } from './callbacks.js';
 
 export class CallbackManager {
   constructor(callbacks = []) {
@@ -15,54 +16,54 @@ export class CallbackManager {
    * Call onStart for all callbacks
    */
   async handleStart(runnable, input, config) {
-    await Promise.all(
-        this.callbacks.map(cb =>
-            this._safeCall(() => cb.onStart(runnable, input, config))
-        )
-    );
+    await this._notify('start', config, cb => cb.onStart(runnable, input, config));
   }
 
   /**
    * Call onEnd for all callbacks
    */
   async handleEnd(runnable, output, config) {
-    await Promise.all(
-        this.callbacks.map(cb =>
-            this._safeCall(() => cb.onEnd(runnable, output, config))
-        )
-    );
+    await this._notify('end', config, cb => cb.onEnd(runnable, output, config));
   }
 
   /**
    * Call onError for all callbacks
    */
   async handleError(runnable, error, config) {
-    await Promise.all(
-        this.callbacks.map(cb =>
-            this._safeCall(() => cb.onError(runnable, error, config))
-        )
-    );
+    await this._notify('error', config, cb => cb.onError(runnable, error, config));
   }
 
   /**
    * Call onLLMNewToken for all callbacks
    */
   async handleLLMNewToken(token, config) {
-    await Promise.all(
-        this.callbacks.map(cb =>
-            this._safeCall(() => cb.onLLMNewToken(token, config))
-        )
-    );
+    await this._notify('token', config, cb => cb.onLLMNewToken(token, config));
   }
 
   /**
    * Call onChainStep for all callbacks
    */
   async handleChainStep(stepName, output, config) {
+    await this._notify('chain_step', config, cb => cb.onChainStep(stepName, output, config));
+  }
+
+  /**
+   * Call onCacheHit for all callbacks that implement it
+   */
+  async handleCacheHit(key, output, config) {
+    await this._notify('cache_hit', config, cb => cb.onCacheHit?.(key, output, config));
+  }
+
+  /**
+   * Call a hook on every callback whose filter lets the event through
+   *
+   * @private
+   */
+  async _notify(event, config, call) {
     await Promise.all(
-        this.callbacks.map(cb =>
-            this._safeCall(() => cb.onChainStep(stepName, output, config))
-        )
+        this.callbacks
+            .filter(cb => runMatchesFilter(cb.filter, event, config))
+            .map(cb => this._safeCall(() => call(cb)))
     );
   }
 
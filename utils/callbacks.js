@@ -1,7 +1,26 @@
 /**
  * BaseCallback - Abstract callback handler
+ *
+ * Every hook receives the config of the run it belongs to:
+ * config.runId identifies that run and config.parentRunId the run
+ * that invoked it (null for the root), so nested steps can be told apart.
+ *
+ * A callback can narrow what it hears (CallbackManager checks these):
+ * - filter: which runs to report, see runMatchesFilter()
+ * - inheritable: false to only watch the run it is passed to, not the
+ *   runs nested inside it
  */
 export class BaseCallback {
+    /**
+     * @param {Object} [options]
+     * @param {Object|Function} [options.filter] - Runs to report (default: all)
+     * @param {boolean} [options.inheritable=true] - Also report nested runs
+     */
+    constructor(options = {}) {
+        this.filter = options.filter ?? null;
+        this.inheritable = options.inheritable ?? true;
+    }
+
     /**
      * Called when a Runnable starts
      */
@@ -36,6 +55,13 @@ export class BaseCallback {
     async onChainStep(stepName, output, config) {
         // Override in subclass
     }
+
+    /**
+     * Called when an LLM answer is served from a response cache
+     */
+    async onCacheHit(key, output, config) {
+        // Override in subclass
+    }
 }
 
 /**
@@ -43,13 +69,15 @@ export class BaseCallback {
  */
 export class ConsoleCallback extends BaseCallback {
     constructor(options = {}) {
-        super();
+        super(options);
         this.verbose = options.verbose ?? true;
         this.colors = options.colors ?? true;
+        this._midLine = false; // tokens were printed without a newline
     }
 
     async onStart(runnable, input, config) {
         if (this.verbose) {
+            this._endLine();
             console.log(`\n▶ Starting: ${runnable.name}`);
             console.log(`  Input:`, this._format(input));
         }
@@ -57,17 +85,28 @@ export class ConsoleCallback extends BaseCallback {
 
     async onEnd(runnable, output, config) {
         if (this.verbose) {
+            this._endLine();
             console.log(`✓ Completed: ${runnable.name}`);
             console.log(`  Output:`, this._format(output));
         }
     }
 
     async onError(runnable, error, config) {
+        this._endLine();
         console.error(`✗ Error in ${runnable.name}:`, error.message);
     }
 
+    // Printed live as the LLM generates, during invoke() as well as stream()
     async onLLMNewToken(token, config) {
         process.stdout.write(token);
+        this._midLine = true;
+    }
+
+    _endLine() {
+        if (this._midLine) {
+            process.stdout.write('\n');
+            this._midLine = false;
+        }
     }
 
     _format(value) {
@@ -82,8 +121,11 @@ export class ConsoleCallback extends BaseCallback {
  * MetricsCallback - Tracks timing and counts
  */
 export class MetricsCallback extends BaseCallback {
-    constructor() {
-        super();
+    /**
+     * @param {Object} [options] - filter / inheritable (see BaseCallback)
+     */
+    constructor(options = {}) {
+        super(options);
         this.metrics = {
             calls: {},
             totalTime: {},
@@ -94,25 +136,28 @@ export class MetricsCallback extends BaseCallback {
 
     async onStart(runnable, input, config) {
         const name = runnable.name;
-        this.startTimes.set(name, Date.now());
+        // Keyed by run, so concurrent runs of the same class don't collide
+        this.startTimes.set(config.runId ?? name, Date.now());
 
         this.metrics.calls[name] = (this.metrics.calls[name] || 0) + 1;
     }
 
     async onEnd(runnable, output, config) {
         const name = runnable.name;
-        const startTime = this.startTimes.get(name);
+        const key = config.runId ?? name;
+        const startTime = this.startTimes.get(key);
 
         if (startTime) {
             const duration = Date.now() - startTime;
             this.metrics.totalTime[name] = (this.metrics.totalTime[name] || 0) + duration;
-            this.startTimes.delete(name);
+            this.startTimes.delete(key);
         }
     }
 
     async onError(runnable, error, config) {
         const name = runnable.name;
         this.metrics.errors[name] = (this.metrics.errors[name] || 0) + 1;
+        this.startTimes.delete(config.runId ?? name);
     }
 
     getReport() {
@@ -145,8 +190,12 @@ export class MetricsCallback extends BaseCallback {
  * FileCallback - Logs to file
  */
 export class FileCallback extends BaseCallback {
-    constructor(filename) {
-        super();
+    /**
+     * @param {string} filename - File the logs are written to
+     * @param {Object} [options] - filter / inheritable (see BaseCallback)
+     */
+    constructor(filename, options = {}) {
+        super(options);
         this.filename = filename;
         this.logs = [];
     }
@@ -156,6 +205,8 @@ export class FileCallback extends BaseCallback {
             timestamp: new Date().toISOString(),
             event: 'start',
             runnable: runnable.name,
+            runId: config.runId,
+            parentRunId: config.parentRunId,
             input: this._serialize(input)
         });
     }
@@ -165,6 +216,8 @@ export class FileCallback extends BaseCallback {
             timestamp: new Date().toISOString(),
             event: 'end',
             runnable: runnable.name,
+            runId: config.runId,
+            parentRunId: config.parentRunId,
             output: this._serialize(output)
         });
     }
@@ -174,6 +227,8 @@ export class FileCallback extends BaseCallback {
             timestamp: new Date().toISOString(),
             event: 'error',
             runnable: runnable.name,
+            runId: config.runId,
+            parentRunId: config.parentRunId,
             error: error.message
         });
     }
@@ -193,4 +248,301 @@ export class FileCallback extends BaseCallback {
         if (value?.content) return value.content; // Message
         return JSON.stringify(value);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * RunTreeCallback - Records runs into a parent/child tree
+ *
+ * Attach it at the top of a pipeline and inspect getTree() afterwards
+ * to see which nested sequence/parallel steps ran, in what order,
+ * for how long, and with what result.
+ */
+export class RunTreeCallback extends BaseCallback {
+    /**
+     * @param {Object} [options] - filter / inheritable (see BaseCallback)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.runs = new Map();
+    }
+
+    async onStart(runnable, input, config) {
+        this.runs.set(config.runId, {
+            runId: config.runId,
+            parentRunId: config.parentRunId,
+            name: runnable.name,
+            tags: [...config.tags],
+            metadata: {...config.metadata},
+            input,
+            startTime: Date.now(),
+            endTime: null,
+            output: undefined,
+            error: null,
+            children: []
+        });
+    }
+
+    async onEnd(runnable, output, config) {
+        const run = this.runs.get(config.runId);
+        if (run) {
+            run.endTime = Date.now();
+            run.output = output;
+        }
+    }
+
+    async onError(runnable, error, config) {
+        const run = this.runs.get(config.runId);
+        if (run) {
+            run.endTime = Date.now();
+            run.error = error;
+        }
+    }
+
+    /**
+     * Get a recorded run by id
+     */
+    getRun(runId) {
+        return this.runs.get(runId);
+    }
+
+    /**
+     * Build the run tree
+     *
+     * @returns {Array<Object>} Root runs, each with nested `children` in start order
+     */
+    getTree() {
+        const roots = [];
+        for (const run of this.runs.values()) {
+            run.children = [];
+        }
+        for (const run of this.runs.values()) {
+            const parent = this.runs.get(run.parentRunId);
+            if (parent) {
+                parent.children.push(run);
+            } else {
+                roots.push(run);
+            }
+        }
+        return roots;
+    }
+
+    /**
+     * Render the tree as indented text, one run per line
+     */
+    toString() {
+        const lines = [];
+        const visit = (run, indent) => {
+            const duration = run.endTime ? `${run.endTime - run.startTime}ms` : 'running';
+            const status = run.error ? ` ✗ ${run.error.message}` : '';
+            lines.push(`${'  '.repeat(indent)}${run.name} (${duration})${status}`);
+            run.children.forEach(child => visit(child, indent + 1));
+        };
+        this.getTree().forEach(root => visit(root, 0));
+        return lines.join('\n');
+    }
+
+    reset() {
+        this.runs.clear();
+    }
+}
+
+/**
+ * EventStreamCallback - Turns callback hooks into a queue of event objects
+ *
+ * Backs Runnable.streamEvents(): every hook pushes a typed event, and the
+ * callback itself is an async iterator over them until close() is called.
+ *
+ * Event shape:
+ * { event: 'start'|'end'|'error'|'token'|'chain_step'|'cache_hit',
+ *   runId, parentRunId, name, tags, metadata, data, timestamp }
+ */
+export class EventStreamCallback extends BaseCallback {
+    constructor() {
+        super();
+        this.queue = [];
+        this.closed = false;
+        this.error = null;
+        this._wake = null;
+    }
+
+    async onStart(runnable, input, config) {
+        this._push('start', runnable.name, config, {input});
+    }
+
+    async onEnd(runnable, output, config) {
+        this._push('end', runnable.name, config, {output});
+    }
+
+    async onError(runnable, error, config) {
+        this._push('error', runnable.name, config, {error});
+    }
+
+    async onLLMNewToken(token, config) {
+        this._push('token', this._runName(config), config, {token});
+    }
+
+    async onChainStep(stepName, output, config) {
+        this._push('chain_step', this._runName(config), config, {step: stepName, output});
+    }
+
+    async onCacheHit(key, output, config) {
+        this._push('cache_hit', this._runName(config), config, {key, output});
+    }
+
+    /**
+     * Stop iteration once queued events are drained
+     *
+     * @param {Error} [error] - Rethrown to the consumer after the last event
+     */
+    close(error = null) {
+        this.closed = true;
+        this.error = error;
+        this._notify();
+    }
+
+    async* [Symbol.asyncIterator]() {
+        while (true) {
+            if (this.queue.length > 0) {
+                yield this.queue.shift();
+            } else if (this.closed) {
+                if (this.error) throw this.error;
+                return;
+            } else {
+                await new Promise(resolve => {
+                    this._wake = resolve;
+                });
+            }
+        }
+    }
+
+    _push(event, name, config, data) {
+        this.queue.push({
+            event,
+            runId: config.runId,
+            parentRunId: config.parentRunId,
+            name,
+            tags: [...config.tags],
+            metadata: {...config.metadata},
+            data,
+            timestamp: Date.now()
+        });
+        this._notify();
+    }
+
+    _notify() {
+        const wake = this._wake;
+        this._wake = null;
+        wake?.();
+    }
+
+    // Token and step hooks don't get the runnable; the run path ends with its name
+    _runName(config) {
+        return config.runPath?.[config.runPath.length - 1] ?? 'unknown';
+    }
+}
+
+/**
+ * FilteredCallback - Passes another callback only the events it asked for
+ *
+ * Filtering is done by CallbackManager, like for any callback with a filter.
+ *
+ * Example:
+ * // Only log LLM calls, not every parser and lambda around them
+ * const llmOnly = new FilteredCallback(
+ *     { includeTypes: ['LlamaCppLLM'] },
+ *     new ConsoleCallback()
+ * );
+ *
+ * // Or decide with a function of the run's name and the event
+ * new FilteredCallback((name, event) => name.includes('LLM'), new ConsoleCallback());
+ */
+export class FilteredCallback extends BaseCallback {
+    /**
+     * @param {Object|Function} filter - See runMatchesFilter()
+     * @param {BaseCallback} callback - Callback to pass matching events to
+     * @param {Object} [options]
+     * @param {boolean} [options.inheritable] - Defaults to the wrapped callback's
+     */
+    constructor(filter, callback, options = {}) {
+        // The wrapped callback's own filter still applies
+        const ownFilter = callback.filter;
+        super({
+            filter: ownFilter
+                ? (name, event, config) =>
+                    runMatchesFilter(filter, event, config) && runMatchesFilter(ownFilter, event, config)
+                : filter,
+            inheritable: options.inheritable ?? callback.inheritable
+        });
+        this.callback = callback;
+    }
+
+    async onStart(runnable, input, config) {
+        await this.callback.onStart?.(runnable, input, config);
+    }
+
+    async onEnd(runnable, output, config) {
+        await this.callback.onEnd?.(runnable, output, config);
+    }
+
+    async onError(runnable, error, config) {
+        await this.callback.onError?.(runnable, error, config);
+    }
+
+    async onLLMNewToken(token, config) {
+        await this.callback.onLLMNewToken?.(token, config);
+    }
+
+    async onChainStep(stepName, output, config) {
+        await this.callback.onChainStep?.(stepName, output, config);
+    }
+
+    async onCacheHit(key, output, config) {
+        await this.callback.onCacheHit?.(key, output, config);
+    }
+}
+
+/**
+ * Whether a callback filter lets an event from a run through
+ *
+ * Filter objects narrow by the run's name, runnable class, tags and
+ * metadata. Each include* option given must match, and no exclude*
+ * option may:
+ * - includeNames / excludeNames: run names (strings or RegExps)
+ * - includeTypes / excludeTypes: runnable class names, e.g. 'RunnableLambda'
+ * - includeTags / excludeTags: matches when the run has any of the tags
+ * - includeMetadata / excludeMetadata: matches when every given key has that value
+ *
+ * A function filter is called as filter(name, event, config) and returns a boolean.
+ *
+ * @param {Object|Function|null} filter - The callback's filter (null lets everything through)
+ * @param {string} event - 'start'|'end'|'error'|'token'|'chain_step'|'cache_hit'
+ * @param {RunnableConfig} config - Config of the run the event belongs to
+ * @returns {boolean}
+ */
+export function runMatchesFilter(filter, event, config) {
+    if (!filter) return true;
+
+    const name = config.runPath?.[config.runPath.length - 1] ?? 'unknown';
+    if (typeof filter === 'function') {
+        return Boolean(filter(name, event, config));
+    }
+
+    const tags = config.tags ?? [];
+    const metadata = config.metadata ?? {};
+    const checks = {
+        Names: (names) => names.some(pattern =>
+            pattern instanceof RegExp ? pattern.test(name) : pattern === name
+        ),
+        Types: (types) => types.includes(config.runType),
+        Tags: (wanted) => wanted.some(tag => tags.includes(tag)),
+        Metadata: (wanted) => Object.entries(wanted).every(([key, value]) => metadata[key] === value)
+    };
+
+    for (const [kind, matches] of Object.entries(checks)) {
+        const include = filter[`include${kind}`];
+        const exclude = filter[`exclude${kind}`];
+        if (include && !matches(include)) return false;
+        if (exclude && matches(exclude)) return false;
+    }
+    return true;
+}
@@ -0,0 +1,50 @@
+/**
+ * ConcurrencyManager - Cap how many async operations run at once
+ *
+ * Useful for batching hundreds of inputs without starting them all together
+ */
+export class ConcurrencyManager {
+  constructor(options = {}) {
+    this.maxConcurrency = options.maxConcurrency ?? Infinity;
+
+    if (!(this.maxConcurrency >= 1)) {
+      throw new Error(`maxConcurrency must be at least 1, got ${this.maxConcurrency}`);
+    }
+  }
+
+  /**
+   * Map items through an async function with bounded concurrency
+   *
+   * Results keep the order of the input items. If fn rejects, no new
+   * items are started and the returned promise rejects with that error.
+   *
+   * @param {Array<any>} items - Items to process
+   * @param {Function} fn - Async function (item, index) => result
+   * @returns {Promise<Array<any>>} Results in input order
+   */
+  async map(items, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let failed = false;
+
+    // Each worker pulls the next pending item until none are left
+    const worker = async () => {
+      while (!failed && nextIndex < items.length) {
+        const index = nextIndex++;
+        try {
+          results[index] = await fn(items[index], index);
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }
+    };
+
+    const workerCount = Math.min(this.maxConcurrency, items.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return results;
+  }
+}
+
+export default ConcurrencyManager;
@@ -5,17 +5,23 @@
  */
 export class RetryManager {
   constructor(options = {}) {
-    this.maxRetries = options.maxRetries || 3;
-    this.initialDelay = options.initialDelay || 1000; // ms
-    this.backoffMultiplier = options.backoffMultiplier || 2;
-    this.maxDelay = options.maxDelay || 30000; // ms
-    this.shouldRetry = options.shouldRetry || ((error) => true);
+    this.maxRetries = options.maxRetries ?? 3;
+    this.initialDelay = options.initialDelay ?? 1000; // ms
+    this.backoffMultiplier = options.backoffMultiplier ?? 2;
+    this.maxDelay = options.maxDelay ?? 30000; // ms
+    this.shouldRetry = options.shouldRetry ?? ((error) => true);
+    this.onRetry = options.onRetry ?? ((error, attempt, delay) => {
+      console.log(
+        `Attempt ${attempt} failed: ${error.message}. Retrying in ${delay}ms...`
+      );
+    });
   }
 
   /**
    * Execute function with retry logic
-   * @param {Function} fn - Async function to execute
+   * @param {Function} fn - Async function to execute, receives the attempt number (1-based)
    * @returns {Promise<any>} Result of function
+   * @throws {Error} The last attempt's error once retries run out
    */
   async execute(fn) {
     let lastError;
@@ -23,7 +29,7 @@ export class RetryManager {
 
     for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
       try {
-        return await fn();
+        return await fn(attempt + 1);
       } catch (error) {
         lastError = error;
 
@@ -34,18 +40,16 @@ export class RetryManager {
 
         // Don't delay after final attempt
         if (attempt < this.maxRetries) {
-          console.log(
-            `Attempt ${attempt + 1} failed: ${error.message}. Retrying in ${delay}ms...`
-          );
+          await this.onRetry(error, attempt + 1, delay);
           await this._sleep(delay);
           delay = Math.min(delay * this.backoffMultiplier, this.maxDelay);
         }
       }
     }
 
-    throw new Error(
-      `Failed after ${this.maxRetries + 1} attempts: ${lastError.message}`
-    );
+    // Out of retries: surface the last failure itself, so callers can still
+    // tell what kind of error it was
+    throw lastError;
   }
 
   /**
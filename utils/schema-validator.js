@@ -4,8 +4,16 @@
  * Ensures LLM outputs match expected structure
  */
 export class SchemaValidator {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.strictMode=true] - Leave invalid and undeclared
+   *   properties out of `sanitized`
+   * @param {boolean} [options.rejectExtraProperties=false] - Treat properties
+   *   the schema doesn't declare as errors, unless it sets additionalProperties: true
+   */
   constructor(options = {}) {
     this.strictMode = options.strictMode ?? true;
+    this.rejectExtraProperties = options.rejectExtraProperties ?? false;
   }
 
   /**
@@ -18,6 +26,23 @@ export class SchemaValidator {
     const errors = [];
     const sanitized = {};
 
+    // Top-level type (a schema may describe a string, an array, ...)
+    if (schema.type) {
+      const actualType = this._typeOf(obj);
+      if (!this._matchesType(obj, schema.type)) {
+        return {
+          valid: false,
+          errors: [`Expected ${schema.type}, got ${actualType}`],
+          sanitized
+        };
+      }
+    }
+
+    // Only objects have properties to check
+    if (obj === null || typeof obj !== 'object') {
+      return { valid: true, errors, sanitized: obj };
+    }
+
     // Check required properties
     if (schema.required && Array.isArray(schema.required)) {
       for (const prop of schema.required) {
@@ -44,6 +69,16 @@ export class SchemaValidator {
       }
     }
 
+    // Properties the schema doesn't declare are errors when it sets
+    // additionalProperties: false (or always, with rejectExtraProperties)
+    if (schema.properties && this._rejectsExtraProperties(schema)) {
+      for (const key of Object.keys(obj)) {
+        if (!(key in schema.properties)) {
+          errors.push(`Unexpected property: ${key}`);
+        }
+      }
+    }
+
     // Include non-schema properties in lenient mode
     if (!this.strictMode) {
       for (const [key, value] of Object.entries(obj)) {
@@ -60,6 +95,45 @@ export class SchemaValidator {
     };
   }
 
+  /**
+   * Check that values matching one schema can be passed where another is expected
+   *
+   * Only what both schemas declare is compared: types, and the consumer's
+   * required properties against the producer's properties.
+   *
+   * @param {Object} producerSchema - Schema of the value being passed (e.g. a step's output)
+   * @param {Object} consumerSchema - Schema of the value expected (e.g. the next step's input)
+   * @returns {Object} { compatible: boolean, errors: [] }
+   */
+  checkCompatibility(producerSchema, consumerSchema) {
+    const errors = [];
+
+    if (producerSchema.type && consumerSchema.type && !typeFits(producerSchema.type, consumerSchema.type)) {
+      errors.push(`produces ${producerSchema.type} but expects ${consumerSchema.type}`);
+      return { compatible: false, errors };
+    }
+
+    const produced = producerSchema.properties;
+    if (produced && Array.isArray(consumerSchema.required)) {
+      for (const prop of consumerSchema.required) {
+        if (!(prop in produced)) {
+          errors.push(`requires property '${prop}', which is not produced`);
+        }
+      }
+    }
+
+    if (produced && consumerSchema.properties) {
+      for (const [key, expected] of Object.entries(consumerSchema.properties)) {
+        const actualType = produced[key]?.type;
+        if (actualType && expected.type && !typeFits(actualType, expected.type)) {
+          errors.push(`property '${key}' is produced as ${actualType} but expected as ${expected.type}`);
+        }
+      }
+    }
+
+    return { compatible: errors.length === 0, errors };
+  }
+
   /**
    * Validate a single property
    */
@@ -68,8 +142,8 @@ export class SchemaValidator {
 
     // Type check
     if (schema.type) {
-      const actualType = Array.isArray(value) ? 'array' : typeof value;
-      if (actualType !== schema.type) {
+      const actualType = this._typeOf(value);
+      if (!this._matchesType(value, schema.type)) {
         errors.push(
           `Property '${propName}': expected ${schema.type}, got ${actualType}`
         );
@@ -115,6 +189,30 @@ export class SchemaValidator {
     return errors;
   }
 
+  /**
+   * JSON schema type name of a value
+   */
+  _typeOf(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+  }
+
+  /**
+   * Whether a value is of a JSON schema type ('integer' is a whole number)
+   */
+  _matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    return this._typeOf(value) === type;
+  }
+
+  /**
+   * Whether properties missing from schema.properties make an object invalid
+   */
+  _rejectsExtraProperties(schema) {
+    if (schema.additionalProperties === false) return true;
+    return this.rejectExtraProperties && schema.additionalProperties !== true;
+  }
+
   /**
    * Repair object to match schema (best effort)
    * @param {Object} obj - Object to repair
@@ -189,4 +287,12 @@ export class SchemaValidator {
   }
 }
 
+/**
+ * Whether values of one schema type are valid where another is expected
+ * (every integer is a number)
+ */
+function typeFits(producedType, expectedType) {
+  return producedType === expectedType || (producedType === 'integer' && expectedType === 'number');
+}
+
 export default SchemaValidator;
@@ -12,21 +12,29 @@ export class TimeoutManager {
    * Execute function with timeout
    * @param {Function} fn - Async function to execute
    * @param {number} timeout - Timeout in milliseconds (optional)
+   * @param {Function} onTimeout - Called when the timeout fires, before rejecting (optional)
    * @returns {Promise<any>} Result of function
    */
-  async execute(fn, timeout = this.defaultTimeout) {
-    return Promise.race([
-      fn(),
-      this._createTimeoutPromise(timeout)
-    ]);
+  async execute(fn, timeout = this.defaultTimeout, onTimeout = null) {
+    const timer = {};
+    try {
+      return await Promise.race([
+        fn(),
+        this._createTimeoutPromise(timeout, timer, onTimeout)
+      ]);
+    } finally {
+      // Don't keep the process alive waiting on a timer nobody needs
+      clearTimeout(timer.id);
+    }
   }
 
   /**
    * Create a promise that rejects after timeout
    */
-  _createTimeoutPromise(timeout) {
+  _createTimeoutPromise(timeout, timer = {}, onTimeout = null) {
     return new Promise((_, reject) => {
-      setTimeout(() => {
+      timer.id = setTimeout(() => {
+        onTimeout?.();
         reject(new Error(`Operation timed out after ${timeout}ms`));
       }, timeout);
     });
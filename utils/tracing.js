@@ -0,0 +1,342 @@
+/**
+ * TracingCallback - Export runs as OpenTelemetry spans (OTLP/JSON)
+ *
+ * Every run becomes a span: nested runs are child spans of the run that
+ * invoked them, and a pipeline invocation is one trace. Spans carry the
+ * runnable's name and type, tags and metadata, and for LLMs the model
+ * path, sampling params and token counts. Errors are recorded as
+ * `exception` span events with an error status.
+ *
+ * A trace is exported when its root run finishes, to a file (one OTLP
+ * ExportTraceServiceRequest per line, like the collector's file exporter)
+ * or to an OTLP/HTTP collector.
+ *
+ * Example:
+ * const tracing = new TracingCallback({
+ *   serviceName: 'research-agent',
+ *   exporter: new OTLPHttpExporter({ url: 'http://localhost:4318/v1/traces' })
+ * });
+ * await agent.invoke(task, { callbacks: [tracing] });
+ *
+ * @module utils/tracing
+ */
+
+import { appendFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { BaseCallback } from './callbacks.js';
+
+const SPAN_KIND_INTERNAL = 1;
+const STATUS_CODE_ERROR = 2;
+
+/**
+ * Sampling params reported for LLM runs: [runnable/config key, attribute, is a float]
+ */
+const SAMPLING_ATTRIBUTES = [
+  ['temperature', 'gen_ai.request.temperature', true],
+  ['topP', 'gen_ai.request.top_p', true],
+  ['topK', 'gen_ai.request.top_k', false],
+  ['maxTokens', 'gen_ai.request.max_tokens', false],
+  ['repeatPenalty', 'gen_ai.request.repeat_penalty', true],
+  ['seed', 'gen_ai.request.seed', false]
+];
+
+/**
+ * Attributes always exported as doubles, so a temperature of 0 has the
+ * same type as 0.7 for backends that index attributes by type
+ */
+const DOUBLE_ATTRIBUTES = new Set(
+  SAMPLING_ATTRIBUTES.filter(([, , isFloat]) => isFloat).map(([, attribute]) => attribute)
+);
+
+/**
+ * OTLPFileExporter - Appends export requests to a JSON Lines file
+ */
+export class OTLPFileExporter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.path='./traces/traces.jsonl'] - File to append to
+   */
+  constructor(options = {}) {
+    this.path = options.path ?? './traces/traces.jsonl';
+  }
+
+  /**
+   * @param {Object} request - OTLP ExportTraceServiceRequest
+   */
+  async export(request) {
+    await mkdir(path.dirname(this.path), { recursive: true });
+    await appendFile(this.path, JSON.stringify(request) + '\n', 'utf-8');
+  }
+}
+
+/**
+ * OTLPHttpExporter - POSTs export requests to an OTLP/HTTP collector
+ */
+export class OTLPHttpExporter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.url='http://localhost:4318/v1/traces'] - Collector traces endpoint
+   * @param {Object} [options.headers] - Extra request headers (e.g. auth)
+   * @param {number} [options.timeoutMs=10000] - Give up on the collector after this long
+   */
+  constructor(options = {}) {
+    this.url = options.url ?? 'http://localhost:4318/v1/traces';
+    this.headers = options.headers ?? {};
+    this.timeoutMs = options.timeoutMs ?? 10000;
+  }
+
+  /**
+   * @param {Object} request - OTLP ExportTraceServiceRequest
+   * @throws {Error} If the collector doesn't accept it
+   */
+  async export(request) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(request),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(
+        `OTLP export to ${this.url} failed: ${response.status} ${await response.text()}`
+      );
+    }
+  }
+}
+
+/**
+ * TracingCallback - Records runs as spans and hands finished traces to an exporter
+ */
+export class TracingCallback extends BaseCallback {
+  /**
+   * @param {Object} options
+   * @param {Object} options.exporter - OTLPFileExporter, OTLPHttpExporter, or any { export(request) }
+   * @param {string} [options.serviceName='ai-agents'] - Resource service.name
+   * @param {Object} [options.resourceAttributes] - Extra resource attributes
+   * @param {Object|Function} [options.filter] - Runs to trace (see BaseCallback)
+   */
+  constructor(options = {}) {
+    super(options);
+
+    if (typeof options.exporter?.export !== 'function') {
+      throw new Error(
+        'TracingCallback requires an exporter, e.g. { exporter: new OTLPFileExporter() }'
+      );
+    }
+
+    this.exporter = options.exporter;
+    this.resourceAttributes = {
+      'service.name': options.serviceName ?? 'ai-agents',
+      ...options.resourceAttributes
+    };
+
+    this.spans = new Map();   // runId -> open span
+    this.finished = [];       // ended spans waiting for export
+  }
+
+  async onStart(runnable, input, config) {
+    // Runs whose parent isn't traced here start a new trace
+    const parent = this.spans.get(config.parentRunId);
+
+    this.spans.set(config.runId, {
+      traceId: parent?.traceId ?? toHex(config.runId, 32),
+      spanId: toHex(config.runId, 16),
+      parentSpanId: parent?.spanId ?? '',
+      name: runnable.name,
+      kind: SPAN_KIND_INTERNAL,
+      startTimeUnixNano: nowUnixNano(),
+      endTimeUnixNano: null,
+      attributes: this._runAttributes(runnable, config),
+      events: [],
+      status: {},
+      root: !parent
+    });
+  }
+
+  async onEnd(runnable, output, config) {
+    const span = this.spans.get(config.runId);
+    if (!span) return;
+
+    Object.assign(span.attributes, usageAttributes(output));
+    await this._end(span, config.runId);
+  }
+
+  async onError(runnable, error, config) {
+    const span = this.spans.get(config.runId);
+    if (!span) return;
+
+    span.events.push({
+      timeUnixNano: nowUnixNano(),
+      name: 'exception',
+      attributes: {
+        'exception.type': error?.name ?? 'Error',
+        'exception.message': error?.message ?? String(error),
+        'exception.stacktrace': error?.stack ?? ''
+      }
+    });
+    span.status = { code: STATUS_CODE_ERROR, message: error?.message ?? String(error) };
+    await this._end(span, config.runId);
+  }
+
+  async onChainStep(stepName, output, config) {
+    this.spans.get(config.runId)?.events.push({
+      timeUnixNano: nowUnixNano(),
+      name: 'chain_step',
+      attributes: { 'step.name': stepName }
+    });
+  }
+
+  async onCacheHit(key, output, config) {
+    this.spans.get(config.runId)?.events.push({
+      timeUnixNano: nowUnixNano(),
+      name: 'cache_hit',
+      attributes: { 'cache.key': key }
+    });
+  }
+
+  /**
+   * Export every ended span that hasn't been exported yet
+   *
+   * Traces are exported automatically when their root run ends; call this
+   * for spans of runs that ended while their root is still going.
+   */
+  async flush() {
+    if (this.finished.length === 0) return;
+
+    const spans = this.finished;
+    this.finished = [];
+    await this.exporter.export(this.toOTLP(spans));
+  }
+
+  /**
+   * Build an OTLP ExportTraceServiceRequest (JSON encoding)
+   *
+   * @param {Array<Object>} spans - Ended spans
+   * @returns {Object}
+   */
+  toOTLP(spans) {
+    return {
+      resourceSpans: [{
+        resource: { attributes: toKeyValues(this.resourceAttributes) },
+        scopeSpans: [{
+          scope: { name: 'ai-agents/tracing', version: '1.0.0' },
+          spans: spans.map(({ root, ...span }) => ({
+            ...span,
+            attributes: toKeyValues(span.attributes),
+            events: span.events.map(event => ({
+              ...event,
+              attributes: toKeyValues(event.attributes)
+            }))
+          }))
+        }]
+      }]
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _end(span, runId) {
+    span.endTimeUnixNano = nowUnixNano();
+    this.spans.delete(runId);
+    this.finished.push(span);
+
+    if (span.root) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * Attributes known when a run starts
+   *
+   * @private
+   */
+  _runAttributes(runnable, config) {
+    const attributes = {
+      'runnable.name': runnable.name,
+      'runnable.type': config.runType ?? runnable.constructor.name,
+      'run.id': config.runId
+    };
+    if (config.tags.length > 0) {
+      attributes['run.tags'] = [...config.tags];
+    }
+    for (const [key, value] of Object.entries(config.metadata)) {
+      attributes[`run.metadata.${key}`] = value;
+    }
+
+    // LLMs: which model, sampled how (call options win over the LLM's own)
+    if (runnable.modelPath) {
+      attributes['gen_ai.request.model'] = runnable.modelPath;
+      for (const [param, attribute] of SAMPLING_ATTRIBUTES) {
+        const value = config[param] ?? runnable[param];
+        if (value !== undefined && value !== null) attributes[attribute] = value;
+      }
+    }
+    return attributes;
+  }
+}
+
+/**
+ * Token counts an LLM reported on its output message
+ *
+ * @private
+ */
+function usageAttributes(output) {
+  const usage = output?.additionalKwargs?.usage;
+  if (!usage) return {};
+
+  return {
+    'gen_ai.usage.input_tokens': usage.promptTokens,
+    'gen_ai.usage.output_tokens': usage.completionTokens
+  };
+}
+
+/**
+ * A hex id of the given length from a run id (a UUID)
+ *
+ * @private
+ */
+function toHex(runId, length) {
+  return String(runId).replace(/-/g, '').padEnd(length, '0').slice(0, length);
+}
+
+/**
+ * Current time in nanoseconds since the epoch, as OTLP/JSON expects (a string)
+ *
+ * @private
+ */
+function nowUnixNano() {
+  const ms = performance.timeOrigin + performance.now();
+  return (BigInt(Math.floor(ms)) * 1000000n + BigInt(Math.round((ms % 1) * 1e6))).toString();
+}
+
+/**
+ * { key: value } as OTLP KeyValue attributes
+ *
+ * @private
+ */
+function toKeyValues(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({
+      key,
+      value: DOUBLE_ATTRIBUTES.has(key) && typeof value === 'number'
+        ? { doubleValue: value }
+        : toAnyValue(value)
+    }));
+}
+
+/**
+ * @private
+ */
+function toAnyValue(value) {
+  if (typeof value === 'string') return { stringValue: value };
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === 'number') return { doubleValue: value };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+  return { stringValue: JSON.stringify(value) };
+}
+
+export default TracingCallback;